@@ -1,115 +1,559 @@
 /**
  * config.js
  *
- * Utility module for configuring ContentReviewLog.
+ * Interactive wizard for configuring ContentReviewLog.
  */
 
 /**
  * Importing modules.
  */
-import fs from 'fs';
-import readline from 'readline';
+import {chmod, readFile, writeFile} from 'fs/promises';
+import Authenticator from './src/auth.js';
+import ContentReviewLog from './src/content-review-log.js';
+import {Writable} from 'stream';
+import {createInterface} from 'readline';
+import {createNotifiers} from './src/notifiers/index.js';
+import process from 'process';
+import {validateConfig} from './src/config.js';
 
 /**
  * Constants.
  */
-const QUESTIONS = [
-    ['username', 'Fandom username'],
-    ['password', 'Fandom password'],
-    ['interval', 'Update interval (in seconds)'],
-    ['url', 'Webhook URL'],
-    ['wiki', 'Fandom wiki URL']
-], WIKI_REGEX = /^(?:https?:\/\/)?([a-z0-9-.]+)\.(wikia\.(?:com|org)|fandom\.com)(?:\/([a-z-]+))?\/?$/,
-WEBHOOK_REGEX = /^https?:\/\/(?:canary\.|ptb\.)?discord(?:app)?\.com\/api\/webhooks\/(\d+)\/([a-zA-Z0-9-_]+)$/;
+const CONFIG_PATH = 'config.json';
+const DEFAULT_PASSWORD_FILE = 'password.txt';
+const STORAGE_REGEX = /^(?:config|file|env)$/u;
+const WIKI_REGEX = /^(?:https?:\/\/)?([a-z0-9-.]+)\.(wikia\.(?:com|org)|fandom\.com)(?:\/([a-z-]+))?\/?$/u;
+const WEBHOOK_REGEX = /^https?:\/\/(?:canary\.|ptb\.)?discord(?:app)?\.com\/api\/webhooks\/(\d+)\/([a-zA-Z0-9-_]+)$/u;
+const LANG_REGEX = /^[a-z-]+$/u;
+const LEGACY_KEYS = ['domain', 'id', 'interval', 'lang', 'token', 'wiki'];
+const TEST_COLOR = 0x76BF06;
+
+/**
+ * Hides most of a secret, such as a webhook token, so it can be shown as
+ * the current value of a question.
+ * @param {string} secret Secret to hide
+ * @returns {string} Start of the secret, followed by an ellipsis
+ */
+function redact(secret) {
+    return `${String(secret).slice(0, 4)}…`;
+}
+
+/**
+ * Checks that a required answer was given.
+ * @param {string} answer Answer to the question
+ * @returns {string} The answer
+ * @throws {Error} If the answer is empty
+ */
+function parseRequired(answer) {
+    if (!answer) {
+        throw new Error('This value is required.');
+    }
+    return answer;
+}
+
+/**
+ * Parses a yes or no answer.
+ * @param {string} answer Answer to the question
+ * @returns {boolean} Whether the answer was yes
+ * @throws {Error} If the answer is neither yes nor no
+ */
+function parseBoolean(answer) {
+    if ((/^y(?:es)?$/iu).test(answer)) {
+        return true;
+    }
+    if ((/^no?$/iu).test(answer)) {
+        return false;
+    }
+    throw new Error('Please answer with yes or no.');
+}
+
+/**
+ * Parses where the password should be stored.
+ * @param {string} answer Answer to the question
+ * @returns {string} `config`, `file` or `env`
+ * @throws {Error} If the answer is not one of the options
+ */
+function parseStorage(answer) {
+    if (!STORAGE_REGEX.test(answer)) {
+        throw new Error('Please answer with config, file or env.');
+    }
+    return answer;
+}
+
+/**
+ * Parses an update interval given in seconds.
+ * @param {string} answer Answer to the question
+ * @returns {number} Update interval in milliseconds
+ * @throws {Error} If the answer is not a positive number
+ */
+function parseInterval(answer) {
+    const seconds = Number(answer);
+    if (!answer || !Number.isFinite(seconds) || seconds <= 0) {
+        throw new Error('The interval must be a positive number of seconds.');
+    }
+    return Math.round(seconds * 1000);
+}
+
+/**
+ * Parses a Fandom wiki URL.
+ * @param {string} answer Answer to the question
+ * @returns {object} Subdomain, domain and language of the wiki
+ * @throws {Error} If the answer is not a Fandom wiki URL
+ */
+function parseWiki(answer) {
+    const match = WIKI_REGEX.exec(answer);
+    if (!match) {
+        throw new Error(
+            'The wiki URL must look like https://dev.fandom.com or ' +
+            'https://community.fandom.com/de.'
+        );
+    }
+    const [, wiki, domain, lang] = match;
+    return {
+        domain,
+        lang,
+        wiki
+    };
+}
+
+/**
+ * Parses the language code of a wiki.
+ * @param {string} answer Answer to the question
+ * @returns {string|undefined} Language code, or nothing for English
+ * @throws {Error} If the answer is not a language code
+ */
+function parseLang(answer) {
+    if (!answer || answer === 'en') {
+        return undefined;
+    }
+    if (!LANG_REGEX.test(answer)) {
+        throw new Error('The language code must look like de or pt-br.');
+    }
+    return answer;
+}
+
+/**
+ * Parses a Discord webhook URL.
+ * @param {string} answer Answer to the question
+ * @returns {object} ID and token of the webhook
+ * @throws {Error} If the answer is not a Discord webhook URL
+ */
+function parseWebhook(answer) {
+    const match = WEBHOOK_REGEX.exec(answer);
+    if (!match) {
+        throw new Error(
+            'The webhook URL must look like ' +
+            'https://discord.com/api/webhooks/ID/TOKEN.'
+        );
+    }
+    const [, id, token] = match;
+    return {
+        id,
+        token
+    };
+}
 
 /**
  * Class used for configuration of ContentReviewLog.
+ * Questions are asked again until they are answered validly, and answers
+ * default to the values from an existing configuration, which is edited
+ * instead of being replaced.
  */
 class Configuration {
     /**
      * Class constructor.
-     * @constructor
      */
     constructor() {
-        this._rl = readline.createInterface({
+        this._muted = false;
+        this._rl = createInterface({
             historySize: 0,
             input: process.stdin,
-            output: process.stderr
+            output: new Writable({
+                write: this._write.bind(this)
+            }),
+            terminal: process.stdin.isTTY
         });
-        this._next();
+        this._rl.on('SIGINT', this._rl.close.bind(this._rl));
+        this._lines = this._rl[Symbol.asyncIterator]();
     }
     /**
-     * Asks the next question.
+     * Runs the wizard.
+     */
+    async run() {
+        try {
+            const config = await this._load();
+            Object.assign(config, await this._askCredentials(config));
+            config.debug = await this._ask('Enable debug logging? (y/n)', {
+                current: config.debug ?? false,
+                display: config.debug ? 'y' : 'n',
+                parse: parseBoolean
+            });
+            Object.assign(config, await this._askWikis(config));
+            await this._test(config);
+            await this._save(config);
+        } catch (error) {
+            if (error.code !== 'ECANCELLED') {
+                throw error;
+            }
+            console.error('\nConfiguration cancelled, nothing was saved.');
+        } finally {
+            this._rl.close();
+        }
+    }
+    /**
+     * Writes output of the prompt to standard error, unless the answer
+     * being typed is hidden.
+     * @param {Buffer} chunk Output to write
+     * @param {string} encoding Encoding of the output
+     * @param {Function} done Function to call once written
      * @private
      */
-    _next() {
-        this._question = QUESTIONS.shift();
-        this._rl.question(`${this._question[1]}: `, this._callback.bind(this));
+    _write(chunk, encoding, done) {
+        if (!this._muted) {
+            process.stderr.write(chunk, encoding);
+        }
+        done();
     }
     /**
-     * Callback after answering the question.
-     * @param {String} answer Answer to the question
+     * Asks a question until it is answered validly.
+     * @param {string} question Question to ask
+     * @param {object} options Current value to keep when the answer is
+     * empty, how to `display` it, whether to `mask` the answer and how to
+     * `parse` it
+     * @returns {Promise<*>} Parsed answer
+     * @throws {Error} If input ended before the question was answered
      * @private
      */
-    _callback(answer) {
-        this[`_${this._question[0]}`] = answer;
-        if (QUESTIONS.length) {
-            this._next();
-        } else {
-            this._finish();
+    async _ask(question, options) {
+        const {current, display = current, mask, parse} = options;
+        const hint = current === undefined ? '' : ` [${display}]`;
+        for (;;) {
+            this._rl.setPrompt(`${question}${hint}: `);
+            this._rl.prompt();
+            this._muted = Boolean(mask);
+            const {done, value} = await this._lines.next();
+            if (this._muted) {
+                this._muted = false;
+                process.stderr.write('\n');
+            }
+            if (done) {
+                const error = new Error('Input ended');
+                error.code = 'ECANCELLED';
+                throw error;
+            }
+            const answer = value.trim();
+            if (!answer && current !== undefined) {
+                return current;
+            }
+            try {
+                return parse(answer);
+            } catch (error) {
+                console.error(error.message);
+            }
         }
     }
     /**
-     * After collecting question results.
+     * Loads the existing configuration, if any. Configurations from older
+     * versions with a single wiki set through top-level keys are converted
+     * to a list of wikis.
+     * @returns {Promise<object>} Existing configuration
      * @private
      */
-    _finish() {
-        const config = {
-            interval: Number(this._interval) * 1000,
-            password: this._password,
-            username: this._username
-        };
-        const res = WEBHOOK_REGEX.exec(this._url),
-              res2 = WIKI_REGEX.exec(this._wiki);
-        if (isNaN(config.interval)) {
-            console.error('Invalid interval!');
-            return;
-        }
-        if (res) {
-            config.id = res[1];
-            config.token = res[2];
-        } else {
-            console.error('Webhook URL invalid!');
-            return;
-        }
-        if (res2) {
-            config.wiki = res2[1];
-            config.domain = res2[2];
-            config.lang = res2[3];
-        } else {
-            console.error('Wiki URL invalid!');
-            return;
-        }
-        fs.writeFile(
-            'config.json',
-            JSON.stringify(config, null, '    '),
-            this._write.bind(this)
+    async _load() {
+        let config = {};
+        try {
+            config = JSON.parse(await readFile(CONFIG_PATH, 'utf-8'));
+            console.info(`Editing the existing ${CONFIG_PATH}. Press Enter to keep the current values.`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read the existing ${CONFIG_PATH}, it will be replaced:`, error.message);
+            }
+        }
+        if (!Array.isArray(config.wikis) && config.wiki) {
+            const wiki = {};
+            for (const key of LEGACY_KEYS) {
+                wiki[key] = config[key];
+                delete config[key];
+            }
+            config.wikis = [wiki];
+        }
+        return config;
+    }
+    /**
+     * Asks for the Fandom username and password, and where the password
+     * should be stored.
+     * @param {object} config Configuration being edited
+     * @returns {Promise<object>} Username, password and path to the file
+     * the password is stored in
+     * @private
+     */
+    async _askCredentials(config) {
+        const username = await this._ask(
+            'Fandom username, or User@BotName for a bot password',
+            {
+                current: config.username,
+                parse: parseRequired
+            }
+        );
+        this._storage = await this._ask(
+            'Store the password in config.json, a separate file or the ' +
+            'CRL_PASSWORD environment variable? (config/file/env)',
+            {
+                current: this._getStorage(config),
+                parse: parseStorage
+            }
         );
+        const passwordFile = this._storage === 'file' ?
+            await this._ask('Password file', {
+                current: config.passwordFile || DEFAULT_PASSWORD_FILE,
+                parse: parseRequired
+            }) :
+            undefined;
+        const label = Authenticator.isBotPassword(username) ?
+            'Bot password' :
+            'Fandom password';
+        const password = await this._ask(label, {
+            current: config.password ??
+                await this._readPasswordFile(passwordFile) ??
+                process.env.CRL_PASSWORD,
+            display: 'unchanged',
+            mask: true,
+            parse: parseRequired
+        });
+        return {
+            password,
+            passwordFile,
+            username
+        };
+    }
+    /**
+     * Returns where the password of a configuration is currently stored.
+     * New configurations store it in a separate file by default.
+     * @param {object} config Configuration being edited
+     * @returns {string} `config`, `file` or `env`
+     * @private
+     */
+    _getStorage(config) {
+        if (config.password) {
+            return 'config';
+        }
+        if (config.passwordFile || !config.username) {
+            return 'file';
+        }
+        return 'env';
+    }
+    /**
+     * Reads the password from an existing password file.
+     * @param {string} path Path to the password file
+     * @returns {Promise<string|undefined>} Password, if the file exists
+     * @private
+     */
+    async _readPasswordFile(path) {
+        if (!path) {
+            return undefined;
+        }
+        try {
+            const password = await readFile(path, 'utf-8');
+            return password.replace(/\r?\n$/u, '');
+        } catch {
+            return undefined;
+        }
+    }
+    /**
+     * Asks for the settings of each configured wiki, and for any
+     * additional wikis to monitor.
+     * @param {object} config Configuration being edited
+     * @returns {Promise<object>} Configured wikis, and the domain of the
+     * first one used for logging in
+     * @private
+     */
+    async _askWikis(config) {
+        const wikis = Array.isArray(config.wikis) ? config.wikis : [];
+        for (const [index, wiki] of wikis.entries()) {
+            console.info(`Wiki ${index + 1}:`);
+            Object.assign(wiki, await this._askWiki(wiki));
+        }
+        while (
+            wikis.length === 0 ||
+            await this._ask('Add another wiki? (y/n)', {
+                current: false,
+                display: 'n',
+                parse: parseBoolean
+            })
+        ) {
+            console.info(`Wiki ${wikis.length + 1}:`);
+            wikis.push(await this._askWiki({}));
+        }
+        return {
+            domain: wikis[0].domain,
+            wikis
+        };
+    }
+    /**
+     * Asks for the settings of a wiki.
+     * @param {object} wiki Configuration of the wiki being edited
+     * @returns {Promise<object>} Updated settings of the wiki
+     * @private
+     */
+    async _askWiki(wiki) {
+        const url = await this._ask('Fandom wiki URL', {
+            current: wiki.wiki ? wiki : undefined,
+            display: this._getWikiUrl(wiki),
+            parse: parseWiki
+        });
+        const lang = await this._ask('Wiki language code, en for English', {
+            current: url.lang,
+            parse: parseLang
+        });
+        const interval = await this._ask('Update interval (in seconds)', {
+            current: wiki.interval,
+            display: wiki.interval / 1000,
+            parse: parseInterval
+        });
+        const settings = {
+            domain: url.domain,
+            interval,
+            lang,
+            wiki: url.wiki
+        };
+        if (Array.isArray(wiki.notifiers)) {
+            console.info(`Keeping the ${wiki.notifiers.length} configured notifiers of this wiki.`);
+            return settings;
+        }
+        return {
+            ...settings,
+            ...await this._ask('Discord webhook URL', {
+                current: wiki.id ?
+                    {
+                        id: wiki.id,
+                        token: wiki.token
+                    } :
+                    undefined,
+                display: `https://discord.com/api/webhooks/${wiki.id}/${redact(wiki.token)}`,
+                parse: parseWebhook
+            })
+        };
+    }
+    /**
+     * Reports problems with the configuration, and optionally tests logging
+     * in and posting to the notifiers. Credentials can be changed when
+     * logging in fails.
+     * @param {object} config Configuration being edited
+     * @private
+     */
+    async _test(config) {
+        const errors = validateConfig(config);
+        if (errors.length) {
+            console.error(`The configuration has problems that need to be fixed in ${CONFIG_PATH}:\n${errors.map(e => `- ${e}`).join('\n')}`);
+        }
+        while (
+            await this._ask('Test logging in to Fandom? (y/n)', {
+                current: true,
+                display: 'y',
+                parse: parseBoolean
+            }) &&
+            !await this._testLogin(config)
+        ) {
+            Object.assign(config, await this._askCredentials(config));
+        }
+        if (await this._ask('Send a test message to every wiki? (y/n)', {
+            current: true,
+            display: 'y',
+            parse: parseBoolean
+        })) {
+            await Promise.all(config.wikis.map(this._testNotifiers, this));
+        }
     }
     /**
-     * After writing configuration to file.
-     * @param {Error} error Error that occurred
+     * Logs in to Fandom with the configured credentials.
+     * @param {object} config Configuration being edited
+     * @returns {Promise<boolean>} Whether logging in succeeded
      * @private
      */
-    _write(error) {
-        if (error) {
+    async _testLogin(config) {
+        let client = null;
+        try {
+            client = new ContentReviewLog({
+                ...config,
+                dryRun: true,
+                history: false
+            });
+            await client.login();
+            console.info('Logged in successfully.');
+            return true;
+        } catch (error) {
+            console.error('Logging in failed:', error.message);
+            return false;
+        } finally {
+            client?.stop();
+        }
+    }
+    /**
+     * Posts a test message through every notifier of a wiki.
+     * @param {object} wiki Configuration of the wiki
+     * @private
+     */
+    async _testNotifiers(wiki) {
+        const url = this._getWikiUrl(wiki);
+        let notifiers = [];
+        try {
+            notifiers = createNotifiers(wiki, url);
+            await Promise.all(notifiers.map(notifier => notifier.sendAlert({
+                color: TEST_COLOR,
+                description: `Changes to review status on ${url} will be posted here.`,
+                title: 'Test message'
+            })));
+            console.info(`Sent a test message for ${url}.`);
+        } catch (error) {
+            console.error(`Sending a test message for ${url} failed:`, error.message);
+        } finally {
+            for (const notifier of notifiers) {
+                notifier.destroy();
+            }
+        }
+    }
+    /**
+     * Writes the configuration to file, and the password to where it
+     * should be stored.
+     * @param {object} config Configuration to save
+     * @private
+     */
+    async _save(config) {
+        const {password, passwordFile, ...saved} = config;
+        try {
+            if (this._storage === 'config') {
+                saved.password = password;
+            } else if (this._storage === 'file') {
+                saved.passwordFile = passwordFile;
+                await writeFile(passwordFile, `${password}\n`, {
+                    mode: 0o600
+                });
+                await chmod(passwordFile, 0o600);
+            }
+            await writeFile(CONFIG_PATH, JSON.stringify(saved, null, '    '));
+            if (this._storage === 'env') {
+                console.info(
+                    'Set the CRL_PASSWORD environment variable to the ' +
+                    'password before running.'
+                );
+            }
+            console.info('Configuration successful, run `npm start`.');
+        } catch (error) {
             console.error('An error occurred while writing to file:', error);
-        } else {
-            console.log('Configuration successful, run `npm start`.');
-            process.exit();
         }
     }
+    /**
+     * Returns the URL of a configured wiki.
+     * @param {object} wiki Configuration of the wiki
+     * @returns {string} URL of the wiki
+     * @private
+     */
+    _getWikiUrl(wiki) {
+        const path = wiki.lang ? `/${wiki.lang}` : '';
+        return `https://${wiki.wiki}.${wiki.domain || 'fandom.com'}${path}`;
+    }
 }
 
 const instance = new Configuration();
+instance.run();
 export default instance;
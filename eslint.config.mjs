@@ -64,7 +64,9 @@ export default [{
         "block-scoped-var": "error",
         "block-spacing": ["error", "always"],
         "brace-style": ["error", "1tbs"],
-        camelcase: "error",
+        camelcase: ["error", {
+            properties: "never",
+        }],
         "capitalized-comments": "off",
         "class-methods-use-this": "off",
         "comma-dangle": ["error", "never"],
@@ -0,0 +1,175 @@
+/**
+ * history.js
+ *
+ * Utility module for querying the review history of ContentReviewLog and
+ * computing review turnaround statistics from it.
+ */
+
+/**
+ * Importing modules.
+ */
+import {formatStats, getReviewStats} from './src/stats.js';
+import History from './src/history.js';
+import {compilePattern} from './src/router.js';
+import {parseArgs} from 'util';
+import process from 'process';
+
+/**
+ * Constants.
+ */
+const OPTIONS = {
+    file: {
+        default: 'history.jsonl',
+        type: 'string'
+    },
+    json: {
+        default: false,
+        type: 'boolean'
+    },
+    since: {
+        type: 'string'
+    },
+    stats: {
+        default: false,
+        type: 'boolean'
+    },
+    status: {
+        type: 'string'
+    },
+    title: {
+        type: 'string'
+    },
+    until: {
+        type: 'string'
+    },
+    wiki: {
+        type: 'string'
+    }
+};
+const COLUMNS = ['time', 'wiki', 'title', 'type', 'from', 'to'];
+const USAGE = `Usage: npm run history -- [options]
+
+Options:
+  --title <pattern>  Page title, as a glob or /regular expression/
+  --status <status>  Transition type or new review status
+  --wiki <url>       URL of the wiki
+  --since <date>     Earliest date of the transitions
+  --until <date>     Latest date of the transitions
+  --file <path>      History file to read (default: history.jsonl)
+  --stats            Print review turnaround statistics instead of
+                     transitions
+  --json             Print transitions or statistics as JSON
+`;
+
+/**
+ * Parses a date passed on the command line.
+ * @param {string} value Date passed on the command line
+ * @param {string} name Name of the option
+ * @returns {Date|undefined} Parsed date, if one was passed
+ * @throws {Error} If the date is invalid
+ */
+function parseDate(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (isNaN(date)) {
+        throw new Error(`Invalid date for --${name}: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * Formats a review state for display in a table.
+ * @param {object|null} state Review state
+ * @returns {string} Revision and status of the state
+ */
+function formatState(state) {
+    return state ? `${state.rev} (${state.status})` : '';
+}
+
+/**
+ * Class used for querying the review history.
+ */
+class HistoryQuery {
+    /**
+     * Queries the history using command line arguments and prints the
+     * results.
+     */
+    async run() {
+        let options = null;
+        try {
+            ({values: options} = parseArgs({
+                options: OPTIONS
+            }));
+            options.since = parseDate(options.since, 'since');
+            options.until = parseDate(options.until, 'until');
+            options.title = options.title && compilePattern(options.title);
+        } catch (error) {
+            console.error(error.message);
+            console.error(USAGE);
+            process.exitCode = 1;
+            return;
+        }
+        const entries = await new History(options.file).query({
+            /*
+             * Statistics need all transitions, including ones from before
+             * the period, to know when reviewed revisions were submitted.
+             */
+            since: options.stats ? undefined : options.since,
+            status: options.stats ? undefined : options.status,
+            title: options.title,
+            until: options.until,
+            wiki: options.wiki
+        });
+        if (options.stats) {
+            this._printStats(getReviewStats(entries, options), options.json);
+        } else if (options.json) {
+            process.stdout.write(`${JSON.stringify(entries, null, '    ')}\n`);
+        } else if (entries.length) {
+            console.table(entries.map(this._row, this), COLUMNS);
+        } else {
+            console.info('No matching transitions found.');
+        }
+    }
+    /**
+     * Prints review turnaround statistics.
+     * @param {object} stats Review turnaround statistics
+     * @param {boolean} json Whether to print the statistics as JSON
+     * @private
+     */
+    _printStats(stats, json) {
+        if (json) {
+            process.stdout.write(`${JSON.stringify(stats, null, '    ')}\n`);
+        } else {
+            console.info(formatStats(stats).join('\n'));
+        }
+    }
+    /**
+     * Converts a transition into a table row.
+     * @param {object} entry Recorded transition
+     * @returns {object} Table row
+     * @private
+     */
+    _row(entry) {
+        return {
+            from: formatState(entry.old),
+            time: entry.timestamp,
+            title: entry.oldTitle ?
+                `${entry.oldTitle} -> ${entry.title}` :
+                entry.title,
+            to: formatState(entry.new),
+            type: entry.type,
+            wiki: entry.wiki
+        };
+    }
+}
+
+const instance = new HistoryQuery();
+export default instance;
+try {
+    await instance.run();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,90 @@
+/**
+ * atomic-file.js
+ *
+ * Files that are replaced atomically when written.
+ */
+
+/**
+ * Importing modules.
+ */
+import {open, readFile, rename} from 'fs/promises';
+
+/**
+ * File whose content is written to a temporary file which then replaces
+ * it, so a crash while writing cannot leave a truncated file behind.
+ */
+export default class AtomicFile {
+    /**
+     * Class constructor.
+     * @param {string} path Path to the file
+     */
+    constructor(path) {
+        this.path = path;
+        this._writing = false;
+        this._pending = false;
+        this._content = '';
+    }
+    /**
+     * Reads the file.
+     * @returns {Promise<string|null>} Content of the file, or `null` if it
+     * does not exist
+     */
+    async read() {
+        try {
+            return await readFile(this.path, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+    /**
+     * Writes the file.
+     * Writes requested while the file is being written are combined into a
+     * single write of the latest content once the current write finishes.
+     * @param {string} content Content to write
+     */
+    async write(content) {
+        this._content = content;
+        if (this._writing) {
+            this._pending = true;
+            return;
+        }
+        this._writing = true;
+        try {
+            do {
+                this._pending = false;
+                await this._replace(this._content);
+            } while (this._pending);
+        } finally {
+            this._writing = false;
+        }
+    }
+    /**
+     * Moves a file that cannot be read aside, so it can be inspected later.
+     * @returns {Promise<string>} Path the file was moved to
+     */
+    async moveAside() {
+        const path = `${this.path}.corrupt-${Date.now()}`;
+        await rename(this.path, path);
+        return path;
+    }
+    /**
+     * Writes content to a temporary file, and replaces the file with it
+     * once it is fully written.
+     * @param {string} content Content to write
+     * @private
+     */
+    async _replace(content) {
+        const temporary = `${this.path}.tmp`;
+        const handle = await open(temporary, 'w');
+        try {
+            await handle.writeFile(content);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await rename(temporary, this.path);
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * auth.js
+ *
+ * Logging into Fandom.
+ */
+
+/**
+ * Logs into Fandom, either with the account's main password through the
+ * login endpoint of the Fandom app, or with a bot password
+ * (`User@BotName`) through the standard MediaWiki API login flow, which
+ * limits the session to the rights granted to the bot password.
+ */
+export default class Authenticator {
+    /**
+     * Class constructor.
+     * @param {import('got').Got} http HTTP client whose cookies hold the
+     * login session
+     */
+    constructor(http) {
+        this._http = http;
+    }
+    /**
+     * Logs into Fandom.
+     * @param {object} credentials `username` and `password` to log in with,
+     * and the `domain` of the app login endpoint
+     * @param {string} wiki URL of the wiki whose API bot passwords log in
+     * through
+     */
+    async login(credentials, wiki) {
+        if (this.constructor.isBotPassword(credentials.username)) {
+            await this._apiLogin(credentials, wiki);
+        } else {
+            await this._appLogin(credentials);
+        }
+    }
+    /**
+     * Checks whether a username is the name of a bot password.
+     * @param {string} username Username to check
+     * @returns {boolean} Whether the username is of the form `User@BotName`
+     */
+    static isBotPassword(username) {
+        return typeof username === 'string' && username.includes('@');
+    }
+    /**
+     * Logs in through the login endpoint of the Fandom app.
+     * @param {object} credentials Credentials to log in with
+     * @private
+     */
+    async _appLogin(credentials) {
+        const {domain, password, username} = credentials;
+        const response = await this._http.post(`https://services.${domain || 'fandom.com'}/mobile-fandom-app/fandom-auth/login`, {
+            form: {
+                password,
+                username
+            },
+            headers: {
+                'X-Fandom-Auth': 1,
+                'X-Wikia-WikiaAppsID': 1234
+            },
+            throwHttpErrors: false
+        });
+        this._checkAppLogin(response);
+    }
+    /**
+     * Checks whether a login response reports an error.
+     * Failed logins are not always reported through the HTTP status, so
+     * the response body is checked for an error payload as well.
+     * @param {object} response Response to the login request
+     * @throws {Error} If the login failed
+     * @private
+     */
+    _checkAppLogin(response) {
+        let body = null;
+        try {
+            body = JSON.parse(response.body);
+        } catch (_error) {
+            body = null;
+        }
+        if (
+            response.statusCode >= 400 ||
+            !body ||
+            body.error ||
+            body.errors ||
+            body.status === 'error'
+        ) {
+            throw this._error(`Login failed with HTTP ${response.statusCode}: ${response.body}`);
+        }
+    }
+    /**
+     * Logs in with a bot password through the MediaWiki API.
+     * @param {object} credentials Credentials to log in with
+     * @param {string} wiki URL of the wiki to log in through
+     * @throws {Error} If the login failed
+     * @private
+     */
+    async _apiLogin(credentials, wiki) {
+        const {password, username} = credentials;
+        const api = `${wiki}/api.php`;
+        const tokens = await this._http.get(api, {
+            searchParams: {
+                action: 'query',
+                format: 'json',
+                formatversion: 2,
+                meta: 'tokens',
+                type: 'login'
+            }
+        }).json();
+        const response = await this._http.post(api, {
+            form: {
+                action: 'login',
+                format: 'json',
+                formatversion: 2,
+                lgname: username,
+                lgpassword: password,
+                lgtoken: tokens.query.tokens.logintoken
+            }
+        }).json();
+        const {login = {}} = response;
+        if (login.result !== 'Success') {
+            throw this._error(`Login failed: ${login.reason || login.result || JSON.stringify(response)}`);
+        }
+    }
+    /**
+     * Creates an error about a failed login.
+     * @param {string} message Error message
+     * @returns {Error} Login error
+     * @private
+     */
+    _error(message) {
+        const error = new Error(message);
+        error.code = 'ELOGIN';
+        return error;
+    }
+}
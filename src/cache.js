@@ -0,0 +1,138 @@
+/**
+ * cache.js
+ *
+ * Persistence of the last known review states.
+ */
+
+/**
+ * Importing modules.
+ */
+import AtomicFile from './atomic-file.js';
+
+/**
+ * Constants.
+ */
+const VERSION = 2;
+/*
+ * Migrations from each version of the cache format to the next one, where
+ * the migration at index `n` upgrades version `n`.
+ */
+const MIGRATIONS = [
+    // Pages of a single wiki, from before multiple wikis were supported.
+    (pages, wiki) => ({
+        [wiki]: pages
+    }),
+    // Pages of each wiki by its URL, without a version.
+    wikis => ({
+        version: 2,
+        wikis
+    })
+];
+
+/**
+ * Checks whether a value is a plain object.
+ * @param {*} value Value to check
+ * @returns {boolean} Whether the value is an object and not an array
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Returns the version of the format a cache is stored in.
+ * Caches from before versions were introduced are told apart by whether
+ * their top-level values are review states of pages.
+ * @param {object} cache Loaded cache
+ * @returns {number} Version of the cache format
+ */
+function getVersion(cache) {
+    if (typeof cache.version === 'number') {
+        return cache.version;
+    }
+    const isPages = Object.values(cache).some(
+        entry => isObject(entry) && (
+            typeof entry.rev === 'number' ||
+            typeof entry.status === 'string'
+        )
+    );
+    return isPages ? 0 : 1;
+}
+
+/**
+ * File the last known review states of all wikis are kept in between
+ * restarts.
+ * The cache is replaced atomically when saved, so a crash while writing
+ * cannot leave a truncated cache behind. Caches in older formats are
+ * migrated when loaded, and caches that cannot be read are moved aside.
+ */
+export default class Cache {
+    /**
+     * Class constructor.
+     * @param {string} path Path to the cache file
+     */
+    constructor(path) {
+        this._file = new AtomicFile(path);
+        this.savedAt = null;
+    }
+    /**
+     * Loads the cache.
+     * @param {string} wiki URL of the wiki caches from before multiple
+     * wikis were supported belong to
+     * @returns {Promise<object>} Map of wiki URLs to maps of page titles to
+     * their last known review state
+     * @throws {Error} If the cache was written by a newer version
+     */
+    async load(wiki) {
+        const text = await this._file.read();
+        if (text === null) {
+            console.info(`No ${this._file.path} file found, data will be created from scratch.`);
+            return {};
+        }
+        let cache = null;
+        try {
+            cache = JSON.parse(text);
+        } catch {
+            // Handled below, like other content that is not a cache.
+        }
+        if (!isObject(cache)) {
+            await this._moveAside();
+            return {};
+        }
+        const version = getVersion(cache);
+        if (version > VERSION) {
+            throw new Error(`${this._file.path} was written by a newer version of ContentReviewLog (cache version ${version}).`);
+        }
+        for (const migrate of MIGRATIONS.slice(version)) {
+            cache = migrate(cache, wiki);
+        }
+        if (!isObject(cache.wikis)) {
+            await this._moveAside();
+            return {};
+        }
+        this.savedAt = cache.savedAt || null;
+        return cache.wikis;
+    }
+    /**
+     * Saves the cache.
+     * @param {object} wikis Map of wiki URLs to maps of page titles to
+     * their last known review state
+     */
+    async save(wikis) {
+        const savedAt = Date.now();
+        await this._file.write(JSON.stringify({
+            savedAt,
+            version: VERSION,
+            wikis
+        }));
+        this.savedAt = savedAt;
+    }
+    /**
+     * Moves a cache that cannot be read aside, so it can be inspected while
+     * the cache is created from scratch.
+     * @private
+     */
+    async _moveAside() {
+        const path = await this._file.moveAside();
+        console.warn(`${this._file.path} could not be read and was moved to ${path}, data will be created from scratch.`);
+    }
+}
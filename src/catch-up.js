@@ -0,0 +1,99 @@
+/**
+ * catch-up.js
+ *
+ * Summaries of changes that happened while the logger was offline.
+ */
+
+/**
+ * Importing modules.
+ */
+import {formatDuration, getData} from './format.js';
+
+/**
+ * Constants.
+ */
+const DEFAULT_THRESHOLD = 10;
+const MAX_LISTED = 25;
+const COLOR = 0x95A5A6;
+
+/**
+ * Condenses the changes found in the first checks of a wiki after a
+ * restart into a single summary, when there are too many of them to post
+ * one by one.
+ * The catch-up lasts as many checks as changes need to be confirmed in, as
+ * changes that happened while offline are only reported once confirmed.
+ */
+export default class CatchUp {
+    /**
+     * Class constructor.
+     * @param {object} wiki Wiki state the summaries are about
+     * @param {number} threshold Number of changes above which they are
+     * summarized, 10 by default
+     * @param {import('./outbox.js').default} outbox Outbox summaries are
+     * queued in
+     */
+    constructor(wiki, threshold, outbox) {
+        this._wiki = wiki;
+        this._threshold = threshold || DEFAULT_THRESHOLD;
+        this._outbox = outbox;
+        this._remaining = 0;
+        this._since = null;
+    }
+    /**
+     * Starts catching up after a restart.
+     * @param {number|null} since Time the review states were last saved,
+     * if known
+     */
+    start(since) {
+        this._remaining = this._wiki.confirmations;
+        this._since = since;
+    }
+    /**
+     * Queues a summary for the wiki's own notifiers instead of the changes
+     * from a check while catching up, if there are too many of them.
+     * Changes dropped by routing rules are left out of the summary.
+     * @param {object[]} changes Changes found in the check
+     * @returns {Promise<boolean>} Whether the changes were summarized, and
+     * should not be posted one by one
+     */
+    async handle(changes) {
+        if (this._remaining === 0) {
+            return false;
+        }
+        --this._remaining;
+        const routed = changes
+            .filter(change => !this._wiki.router.route(change).drop);
+        if (routed.length <= this._threshold) {
+            return false;
+        }
+        this._remaining = 0;
+        const summary = this.getSummary(routed);
+        await Promise.all(this._wiki.keys.map(
+            key => this._outbox.enqueueAlert(key, summary)
+        ));
+        return true;
+    }
+    /**
+     * Builds the summary of changes that happened while offline.
+     * Only the first changes are listed, followed by the number of the
+     * remaining ones.
+     * @param {object[]} changes Changes to summarize
+     * @returns {object} Summary with a `title`, `description` and `color`
+     */
+    getSummary(changes) {
+        const offline = this._since ?
+            `ContentReviewLog was offline for ${formatDuration(Date.now() - this._since)}, and ${changes.length} changes happened in the meantime:` :
+            `${changes.length} changes happened while ContentReviewLog was offline:`;
+        const lines = changes
+            .slice(0, MAX_LISTED)
+            .map(change => `- ${change.title}: ${getData(change)[0]}`);
+        if (changes.length > MAX_LISTED) {
+            lines.push(`…and ${changes.length - MAX_LISTED} more.`);
+        }
+        return {
+            color: COLOR,
+            description: [offline, ...lines].join('\n'),
+            title: 'While we were away'
+        };
+    }
+}
@@ -0,0 +1,678 @@
+/**
+ * config.js
+ *
+ * Loading and validation of the configuration.
+ */
+
+/**
+ * Importing modules.
+ */
+import {readFile, stat} from 'fs/promises';
+import Schedule from './schedule.js';
+import {compilePattern} from './router.js';
+import {parseArgs} from 'util';
+import process from 'process';
+
+/**
+ * Constants.
+ */
+const DEFAULT_PATH = 'config.json';
+const ENV_PREFIX = 'CRL_';
+const NOTIFIER_TYPES = ['discord', 'json', 'matrix', 'slack'];
+const NOTIFIER_FIELDS = {
+    discord: ['id', 'token'],
+    json: ['url'],
+    matrix: ['homeserver', 'room', 'token'],
+    slack: ['url']
+};
+const STRING = {
+    type: 'string'
+};
+const BOOLEAN = {
+    type: 'boolean'
+};
+const POSITIVE_INTEGER = {
+    minimum: 1,
+    type: 'integer'
+};
+const NOTIFIER = {
+    properties: {
+        botToken: STRING,
+        headers: {
+            type: 'object',
+            values: STRING
+        },
+        homeserver: STRING,
+        id: STRING,
+        room: STRING,
+        thread: STRING,
+        threads: {
+            enum: ['channel', 'forum']
+        },
+        token: STRING,
+        type: {
+            enum: NOTIFIER_TYPES
+        },
+        url: STRING
+    },
+    type: 'object'
+};
+const ROLES = {
+    items: STRING,
+    type: ['array', 'string']
+};
+const RULE = {
+    properties: {
+        drop: BOOLEAN,
+        id: STRING,
+        notifiers: {
+            items: NOTIFIER,
+            type: 'array'
+        },
+        roles: ROLES,
+        status: {
+            items: STRING,
+            type: ['array', 'string']
+        },
+        thread: STRING,
+        title: {
+            items: STRING,
+            type: ['array', 'string']
+        },
+        token: STRING,
+        type: {
+            items: STRING,
+            type: ['array', 'string']
+        }
+    },
+    type: 'object'
+};
+const SCHEDULE = {
+    type: ['boolean', 'string']
+};
+// Settings that can be set for all wikis and overridden for each of them.
+const WIKI_SETTINGS = {
+    catchUpThreshold: POSITIVE_INTEGER,
+    confirmations: POSITIVE_INTEGER,
+    details: BOOLEAN,
+    diffs: BOOLEAN,
+    digest: {
+        properties: {
+            overdue: POSITIVE_INTEGER,
+            schedule: STRING
+        },
+        type: ['boolean', 'object', 'string']
+    },
+    editMessages: BOOLEAN,
+    events: {
+        type: 'object',
+        values: BOOLEAN
+    },
+    maxPages: POSITIVE_INTEGER,
+    reminders: {
+        properties: {
+            after: {
+                items: POSITIVE_INTEGER,
+                minimum: 1,
+                type: ['array', 'integer']
+            },
+            roles: ROLES
+        },
+        required: ['after'],
+        type: 'object'
+    },
+    report: SCHEDULE,
+    rules: {
+        items: RULE,
+        type: 'array'
+    }
+};
+const WIKI = {
+    properties: {
+        ...WIKI_SETTINGS,
+        botToken: STRING,
+        domain: STRING,
+        id: STRING,
+        interval: POSITIVE_INTEGER,
+        lang: STRING,
+        notifiers: {
+            items: NOTIFIER,
+            type: 'array'
+        },
+        source: {
+            properties: {
+                fallback: BOOLEAN,
+                headers: NOTIFIER.properties.headers,
+                type: {
+                    enum: ['json', 'scraper']
+                },
+                url: STRING
+            },
+            type: 'object'
+        },
+        thread: STRING,
+        threads: NOTIFIER.properties.threads,
+        token: STRING,
+        wiki: STRING
+    },
+    required: ['wiki'],
+    type: 'object'
+};
+const SCHEMA = {
+    properties: {
+        ...WIKI.properties,
+        cache: STRING,
+        debug: BOOLEAN,
+        discordUsers: {
+            type: 'object',
+            values: STRING
+        },
+        health: {
+            properties: {
+                id: STRING,
+                maxInterval: POSITIVE_INTEGER,
+                notifiers: {
+                    items: NOTIFIER,
+                    type: 'array'
+                },
+                threshold: POSITIVE_INTEGER,
+                token: STRING
+            },
+            type: 'object'
+        },
+        history: {
+            type: ['boolean', 'string']
+        },
+        outbox: STRING,
+        password: STRING,
+        passwordFile: STRING,
+        username: STRING,
+        wikis: {
+            items: WIKI,
+            type: 'array'
+        }
+    },
+    required: ['username'],
+    type: 'object'
+};
+
+/**
+ * Returns the path of a setting in the configuration.
+ * @param {string} path Path of the object containing the setting, empty
+ * for the top level
+ * @param {string} key Key of the setting
+ * @returns {string} Path of the setting
+ */
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Converts a camel-cased configuration key into an environment variable
+ * name.
+ * @param {string} key Configuration key
+ * @returns {string} Name of the environment variable
+ */
+function toEnvName(key) {
+    return `${ENV_PREFIX}${key.replace(/[A-Z]/gu, '_$&').toUpperCase()}`;
+}
+
+/**
+ * Converts a camel-cased configuration key into a command line flag name.
+ * @param {string} key Configuration key
+ * @returns {string} Name of the flag, without the leading dashes
+ */
+function toFlagName(key) {
+    return key.replace(/[A-Z]/gu, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Returns the types a schema allows.
+ * @param {object} schema Schema of a value
+ * @returns {string[]} Allowed types, empty if any type is allowed
+ */
+function getTypes(schema) {
+    return schema.type ? [schema.type].flat() : [];
+}
+
+/**
+ * Converts a value given as text in an environment variable or flag to
+ * the type its schema expects. Objects and arrays are given as JSON.
+ * @param {string} text Value given as text
+ * @param {object} schema Schema of the value
+ * @param {string} source Name of the environment variable or flag
+ * @param {string[]} errors List invalid JSON is reported to
+ * @returns {*} Converted value
+ */
+function parseValue(text, schema, source, errors) {
+    const types = getTypes(schema);
+    if (types.includes('boolean') && (text === 'true' || text === 'false')) {
+        return text === 'true';
+    }
+    if (
+        (types.includes('integer') || types.includes('number')) &&
+        (/^-?\d+(?:\.\d+)?$/u).test(text)
+    ) {
+        return Number(text);
+    }
+    if (types.includes('object') || types.includes('array')) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            errors.push(`${source}: Invalid JSON (${error.message})`);
+            return undefined;
+        }
+    }
+    return text;
+}
+
+/**
+ * Checks whether a value has one of the given types.
+ * @param {*} value Value to check
+ * @param {string} type Name of the type
+ * @returns {boolean} Whether the value has the type
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' &&
+                value !== null &&
+                !Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return Number.isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validates a value against its schema, collecting every problem found.
+ * @param {*} value Value to validate
+ * @param {object} schema Schema of the value
+ * @param {string} path Path of the value in the configuration
+ * @param {string[]} errors List problems are reported to
+ */
+function validate(value, schema, path, errors) {
+    const types = getTypes(schema);
+    if (types.length && !types.some(type => hasType(value, type))) {
+        errors.push(`${path || 'Configuration'}: Must be of type ${types.join(' or ')}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: Must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${path}: Must be at least ${schema.minimum}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        for (const [index, item] of value.entries()) {
+            validate(item, schema.items, `${path}[${index}]`, errors);
+        }
+    }
+    if (!hasType(value, 'object')) {
+        return;
+    }
+    for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === '') {
+            errors.push(`${join(path, key)}: Is required`);
+        }
+    }
+    for (const [key, item] of Object.entries(value)) {
+        const itemSchema = schema.properties ?
+            schema.properties[key] :
+            schema.values;
+        if (itemSchema && item !== undefined) {
+            validate(item, itemSchema, join(path, key), errors);
+        }
+    }
+}
+
+/**
+ * Checks that a notifier has the settings its type requires.
+ * @param {object} notifier Notifier configuration
+ * @param {string} path Path of the notifier in the configuration
+ * @param {string[]} errors List problems are reported to
+ */
+function checkNotifier(notifier, path, errors) {
+    const fields = NOTIFIER_FIELDS[notifier.type || 'discord'] || [];
+    for (const field of fields) {
+        if (!notifier[field]) {
+            errors.push(`${join(path, field)}: Is required for ${notifier.type || 'discord'} notifiers`);
+        }
+    }
+    if (notifier.threads === 'channel' && !notifier.botToken) {
+        errors.push(`${join(path, 'botToken')}: Is required for threads in text channels`);
+    }
+}
+
+/**
+ * Checks the notifiers configured through a `notifiers` list, or through
+ * the `id` and `token` of a Discord webhook.
+ * @param {object} owner Configuration the notifiers are set in
+ * @param {string} path Path of the configuration
+ * @param {string[]} errors List problems are reported to
+ */
+function checkNotifiers(owner, path, errors) {
+    if (!Array.isArray(owner.notifiers)) {
+        checkNotifier(owner, path, errors);
+        return;
+    }
+    for (const [index, notifier] of owner.notifiers.entries()) {
+        if (hasType(notifier, 'object')) {
+            checkNotifier(notifier, `${join(path, 'notifiers')}[${index}]`, errors);
+        }
+    }
+}
+
+/**
+ * Checks whether a wiki posts to a Discord webhook that routing rules can
+ * post in a specific thread of.
+ * @param {object} wiki Wiki configuration
+ * @returns {boolean} Whether the wiki has a webhook without threads
+ */
+function hasWebhook(wiki) {
+    if (!Array.isArray(wiki.notifiers)) {
+        return true;
+    }
+    return wiki.notifiers.some(notifier => hasType(notifier, 'object') &&
+        (notifier.type || 'discord') === 'discord' &&
+        !notifier.threads);
+}
+
+/**
+ * Checks that a cron expression of a scheduled post is valid.
+ * @param {*} schedule Configured schedule
+ * @param {string} path Path of the schedule in the configuration
+ * @param {string[]} errors List problems are reported to
+ */
+function checkSchedule(schedule, path, errors) {
+    if (typeof schedule !== 'string') {
+        return;
+    }
+    try {
+        new Schedule(schedule).next();
+    } catch (error) {
+        errors.push(`${path}: ${error.message}`);
+    }
+}
+
+/**
+ * Checks that the title patterns of a routing rule are valid.
+ * @param {*} title Configured title pattern, or list of them
+ * @param {string} path Path of the patterns in the configuration
+ * @param {string[]} errors List problems are reported to
+ */
+function checkTitles(title, path, errors) {
+    for (const pattern of Array.isArray(title) ? title : [title]) {
+        if (typeof pattern !== 'string') {
+            continue;
+        }
+        try {
+            compilePattern(pattern);
+        } catch (error) {
+            errors.push(`${path}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Checks requirements of a wiki that depend on other settings, such as
+ * settings that can be inherited from the top level.
+ * @param {object} wiki Wiki configuration
+ * @param {string} path Path of the wiki in the configuration
+ * @param {object} config Whole configuration
+ * @param {string[]} errors List problems are reported to
+ */
+function checkWiki(wiki, path, config, errors) {
+    if (!wiki.interval && !config.interval) {
+        errors.push(`${join(path, 'interval')}: Is required`);
+    }
+    checkNotifiers(wiki, path, errors);
+    if (wiki.source?.type === 'json' && !wiki.source.url) {
+        errors.push(`${join(path, 'source.url')}: Is required for json sources`);
+    }
+    const rules = wiki.rules || config.rules;
+    for (const [index, rule] of (Array.isArray(rules) ? rules : []).entries()) {
+        const rulePath = `${join(path, 'rules')}[${index}]`;
+        if (!hasType(rule, 'object')) {
+            continue;
+        }
+        checkTitles(rule.title, `${rulePath}.title`, errors);
+        if (rule.id || rule.notifiers) {
+            checkNotifiers(rule, rulePath, errors);
+        } else if (rule.thread && !hasWebhook(wiki)) {
+            errors.push(`${rulePath}.thread: Requires the wiki to post to a Discord webhook without threads`);
+        }
+    }
+    const digest = wiki.digest ?? config.digest;
+    checkSchedule(wiki.report ?? config.report, join(path, 'report'), errors);
+    checkSchedule(
+        hasType(digest, 'object') ? digest.schedule : digest,
+        join(path, 'digest'),
+        errors
+    );
+}
+
+/**
+ * Checks requirements that the schema cannot express.
+ * @param {object} config Configuration
+ * @param {boolean} replay Whether saved listings are replayed, which does
+ * not need a password
+ * @param {string[]} errors List problems are reported to
+ */
+function checkConfig(config, replay, errors) {
+    const {health} = config;
+    if (!replay && !config.password && !config.passwordFile) {
+        errors.push(
+            'password: Is required, unless passwordFile is set'
+        );
+    }
+    if (hasType(health, 'object') && (health.id || health.notifiers)) {
+        checkNotifiers(health, 'health', errors);
+    }
+    if (Array.isArray(config.wikis)) {
+        if (config.wikis.length === 0) {
+            errors.push('wikis: Must list at least one wiki');
+        }
+        for (const [index, wiki] of config.wikis.entries()) {
+            if (hasType(wiki, 'object')) {
+                checkWiki(wiki, `wikis[${index}]`, config, errors);
+            }
+        }
+    } else if (config.wiki) {
+        checkWiki(config, '', config, errors);
+    } else {
+        errors.push(
+            'wikis: Is required, unless a single wiki is set through wiki'
+        );
+    }
+}
+
+/**
+ * Reads the configuration file.
+ * @param {string} path Path to the configuration file
+ * @param {boolean} required Whether the file has to exist
+ * @param {string[]} errors List problems are reported to
+ * @returns {Promise<object>} Configuration from the file
+ */
+async function readConfigFile(path, required, errors) {
+    let text = null;
+    try {
+        text = await readFile(path, 'utf-8');
+    } catch (error) {
+        if (error.code !== 'ENOENT' || required) {
+            errors.push(`${path}: ${error.message}`);
+        }
+        return {};
+    }
+    try {
+        const config = JSON.parse(text);
+        if (hasType(config, 'object')) {
+            return config;
+        }
+        errors.push(`${path}: Must contain a JSON object`);
+    } catch (error) {
+        errors.push(`${path}: Invalid JSON (${error.message})`);
+    }
+    return {};
+}
+
+/**
+ * Reads the password from a secrets file, which must not be accessible to
+ * other users.
+ * @param {string} path Path to the secrets file
+ * @param {string[]} errors List problems are reported to
+ * @returns {Promise<string|undefined>} Password from the file
+ */
+async function readPasswordFile(path, errors) {
+    try {
+        const {mode} = await stat(path);
+        if (process.platform !== 'win32' && mode & 0o077) {
+            errors.push(`passwordFile: ${path} must only be accessible to its owner, run \`chmod 600 ${path}\``);
+            return undefined;
+        }
+        const password = await readFile(path, 'utf-8');
+        return password.replace(/\r?\n$/u, '');
+    } catch (error) {
+        errors.push(`passwordFile: ${error.message}`);
+        return undefined;
+    }
+}
+
+/**
+ * Parses command line arguments. Every top-level setting can be passed as
+ * a flag, as well as the path to the configuration file and the run modes.
+ * Settings that can only be `true` or `false` are passed as flags without
+ * a value, and turned off through their `--no-` variant.
+ * @param {string[]} args Command line arguments
+ * @param {string[]} errors List problems are reported to
+ * @returns {object} Parsed flags and positional arguments
+ */
+function parseFlags(args, errors) {
+    const options = {
+        'config': STRING,
+        'dry-run': BOOLEAN,
+        'replay': BOOLEAN
+    };
+    for (const [key, schema] of Object.entries(SCHEMA.properties)) {
+        options[toFlagName(key)] = schema === BOOLEAN ? BOOLEAN : STRING;
+    }
+    try {
+        return parseArgs({
+            allowNegative: true,
+            allowPositionals: true,
+            args,
+            options
+        });
+    } catch (error) {
+        errors.push(error.message);
+        return {
+            positionals: [],
+            values: {}
+        };
+    }
+}
+
+/**
+ * Returns configuration of all wikis that should be monitored.
+ * Configurations without a `wikis` array are treated as a single wiki
+ * configured through top-level keys.
+ * @param {object} config Configuration
+ * @returns {object[]} Configuration of each monitored wiki
+ */
+export function getWikiConfigs(config) {
+    if (Array.isArray(config.wikis)) {
+        return config.wikis;
+    }
+    return [
+        {
+            botToken: config.botToken,
+            domain: config.domain,
+            id: config.id,
+            interval: config.interval,
+            lang: config.lang,
+            notifiers: config.notifiers,
+            source: config.source,
+            thread: config.thread,
+            threads: config.threads,
+            token: config.token,
+            wiki: config.wiki
+        }
+    ];
+}
+
+/**
+ * Validates a configuration, collecting every problem found.
+ * Replays of saved listings do not log in, so they need no credentials.
+ * @param {object} config Configuration to validate
+ * @param {boolean} replay Whether the configuration is used for a replay
+ * @returns {string[]} Problems found, empty if the configuration is valid
+ */
+export function validateConfig(config, replay = false) {
+    const errors = [];
+    validate(config, replay ? {
+        ...SCHEMA,
+        required: []
+    } : SCHEMA, '', errors);
+    checkConfig(config, replay, errors);
+    return errors;
+}
+
+/**
+ * Loads the configuration from the configuration file, environment
+ * variables and command line flags, in increasing order of priority, and
+ * validates it.
+ * Top-level settings can be set through environment variables such as
+ * `CRL_MAX_PAGES` and flags such as `--max-pages`, with objects and arrays
+ * given as JSON. Unless a password is set otherwise, it is read from the
+ * `passwordFile`.
+ * @param {string[]} args Command line arguments
+ * @param {object} env Environment variables
+ * @returns {Promise<object>} Options for ContentReviewLog
+ * @throws {Error} If the configuration is invalid, with all problems found
+ * listed in its `errors`
+ */
+export async function loadConfig(args, env) {
+    const errors = [];
+    const {positionals, values} = parseFlags(args, errors);
+    const path = values.config || env[`${ENV_PREFIX}CONFIG`];
+    const config = await readConfigFile(path || DEFAULT_PATH, path, errors);
+    for (const [key, schema] of Object.entries(SCHEMA.properties)) {
+        const flag = toFlagName(key);
+        const envName = toEnvName(key);
+        if (typeof values[flag] === 'boolean') {
+            config[key] = values[flag];
+        } else if (values[flag] !== undefined) {
+            config[key] = parseValue(values[flag], schema, `--${flag}`, errors);
+        } else if (env[envName] !== undefined) {
+            config[key] = parseValue(env[envName], schema, envName, errors);
+        }
+    }
+    const replay = Boolean(values.replay);
+    if (replay && positionals.length === 0) {
+        errors.push('--replay: Requires at least one saved listing to replay');
+    }
+    if (
+        !replay &&
+        !config.password &&
+        typeof config.passwordFile === 'string'
+    ) {
+        config.password = await readPasswordFile(config.passwordFile, errors);
+    }
+    errors.push(...validateConfig(config, replay));
+    if (errors.length) {
+        const error = new Error(`Invalid configuration:\n${errors.map(e => `- ${e}`).join('\n')}`);
+        error.code = 'ECONFIG';
+        error.errors = errors;
+        throw error;
+    }
+    return {
+        ...config,
+        dryRun: values['dry-run'],
+        replay: replay ? positionals : null
+    };
+}
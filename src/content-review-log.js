@@ -0,0 +1,979 @@
+/**
+ * content-review-log.js
+ *
+ * Content review logger.
+ */
+
+/**
+ * Importing modules.
+ */
+import History, {getState, isRegression} from './history.js';
+import {
+    createNotifier,
+    createNotifiers,
+    getNotifierConfigs,
+    getThreadConfigs
+} from './notifiers/index.js';
+import Authenticator from './auth.js';
+import Cache from './cache.js';
+import CatchUp from './catch-up.js';
+import {CookieJar} from 'tough-cookie';
+import DetailsFetcher from './details.js';
+import DiffFetcher from './diff.js';
+import Digest from './digest.js';
+import {EventEmitter} from 'events';
+import Health from './health.js';
+import Outbox from './outbox.js';
+import Reminders from './reminders.js';
+import Report from './report.js';
+import Router from './router.js';
+import ScraperSource from './sources/scraper.js';
+import {createSource} from './sources/index.js';
+import {formatDuration} from './format.js';
+import {getWikiConfigs} from './config.js';
+import got from 'got';
+import pkg from '../package.json' with {type: 'json'};
+import {readFile} from 'fs/promises';
+
+/**
+ * Constants.
+ */
+const DEFAULT_MAX_PAGES = 20;
+const DEFAULT_CACHE = 'cache.json';
+const DEFAULT_HISTORY = 'history.jsonl';
+const DEFAULT_OUTBOX = 'outbox.json';
+const DEFAULT_CONFIRMATIONS = 2;
+const DEFAULT_EVENTS = {
+    new: true,
+    removed: true,
+    renamed: true
+};
+
+const TRANSITION_EVENTS = {
+    new: 'newPage',
+    removed: 'pageRemoved',
+    renamed: 'pageRenamed'
+};
+
+/**
+ * Main class for the content review logger.
+ * Besides posting notifications, it emits events other tools can subscribe
+ * to:
+ * - `login` once logged into Fandom, with the `username`
+ * - `newPage` when a page appears on Special:JSPages
+ * - `pageRemoved` when a page disappears from Special:JSPages
+ * - `pageRenamed` when a page is renamed
+ * - `statusChange` when a page's revision or review status changes
+ * - `pollError` when polling a wiki fails, with the `error` and `wiki`
+ *
+ * Page events receive the transition, with the `wiki` URL, page `title`,
+ * transition `type`, its `old` and `new` review state and a `timestamp`.
+ * @augments EventEmitter
+ */
+export default class ContentReviewLog extends EventEmitter {
+    /**
+     * Class constructor.
+     * @param {object} options Configuration, in the format of `config.json`
+     * @param {boolean} options.dryRun Whether to print notifications instead
+     * of sending them, leaving the cache and history untouched
+     * @param {string[]} options.replay Saved Special:JSPages listings to
+     * process in order instead of polling, which implies a dry run
+     */
+    constructor(options) {
+        super();
+        this._config = options;
+        this._replayFiles = options.replay || null;
+        this._dryRun = Boolean(options.dryRun || this._replayFiles);
+        this._loggedIn = false;
+        this._initHTTP();
+        this._outbox = new Outbox(
+            options.outbox || DEFAULT_OUTBOX,
+            this._delivered.bind(this),
+            this._dryRun
+        );
+        this._history = options.history === false ?
+            null :
+            new History(typeof options.history === 'string' ?
+                options.history :
+                DEFAULT_HISTORY);
+        this._cacheFile = new Cache(options.cache || DEFAULT_CACHE);
+        this._wikis = getWikiConfigs(options).map(this._initWiki, this);
+        this._health = new Health(this._dryRun ? {} : options.health);
+    }
+    /**
+     * Initializes the HTTP client used for communication with Fandom.
+     * The client, and with it the login session, is shared by all wikis.
+     * @private
+     */
+    _initHTTP() {
+        this._http = got.extend({
+            cookieJar: new CookieJar(),
+            headers: {
+                'User-Agent': `${pkg.name} v${pkg.version}`
+            }
+        });
+        this._auth = new Authenticator(this._http);
+        this._diffs = new DiffFetcher(this._http);
+        this._details = new DetailsFetcher(this._http);
+        this._scraper = new ScraperSource(this._http);
+    }
+    /**
+     * Initializes state and notifiers for a monitored wiki.
+     * The wiki's own `notifiers`, which digests, reports and catch-up
+     * summaries are posted to, are kept apart from the `ruleNotifiers` of
+     * its routing rules, and `keys` identify them in the outbox.
+     * @param {object} wikiConfig Configuration of the wiki
+     * @returns {object} Wiki state used while polling
+     * @private
+     */
+    _initWiki(wikiConfig) {
+        const config = this._config;
+        const domain = wikiConfig.domain || config.domain || 'fandom.com';
+        const url = this._getWikiUrl(wikiConfig.wiki, domain, wikiConfig.lang);
+        const notifiers = createNotifiers(wikiConfig, url);
+        const keys = notifiers.map((_notifier, index) => `${url}#${index}`);
+        for (const [index, notifier] of notifiers.entries()) {
+            this._outbox.register(keys[index], notifier);
+        }
+        const allNotifiers = [...notifiers];
+        const rules = (wikiConfig.rules || config.rules || [])
+            .map(rule => this._initRule(rule, url, wikiConfig, allNotifiers));
+        const wiki = {
+            confirmations: wikiConfig.confirmations ||
+                config.confirmations ||
+                DEFAULT_CONFIRMATIONS,
+            data: null,
+            details: Boolean(wikiConfig.details ?? config.details),
+            diffs: Boolean(wikiConfig.diffs ?? config.diffs),
+            editMessages: wikiConfig.editMessages ??
+                config.editMessages ??
+                true,
+            events: {
+                ...DEFAULT_EVENTS,
+                ...config.events,
+                ...wikiConfig.events
+            },
+            failures: 0,
+            interval: wikiConfig.interval || config.interval,
+            keys,
+            maxPages: wikiConfig.maxPages ||
+                config.maxPages ||
+                DEFAULT_MAX_PAGES,
+            notifiers,
+            reminders: new Reminders(wikiConfig.reminders ?? config.reminders),
+            router: new Router(rules, keys),
+            ruleNotifiers: allNotifiers.slice(notifiers.length),
+            skipped: '',
+            source: createSource(wikiConfig, this._http),
+            transitions: [],
+            url
+        };
+        wiki.schedules = this._initSchedules(wiki, wikiConfig);
+        wiki.catchUp = new CatchUp(
+            wiki,
+            wikiConfig.catchUpThreshold || config.catchUpThreshold,
+            this._outbox
+        );
+        return wiki;
+    }
+    /**
+     * Initializes the scheduled report and digest of a wiki.
+     * @param {object} wiki Wiki state the posts are about
+     * @param {object} wikiConfig Configuration of the wiki
+     * @returns {Array<Report|Digest>} Scheduled posts of the wiki
+     * @private
+     */
+    _initSchedules(wiki, wikiConfig) {
+        const config = this._config;
+        const schedules = [];
+        const report = wikiConfig.report ?? config.report;
+        const digest = wikiConfig.digest ?? config.digest;
+        if (report && this._history) {
+            schedules.push(new Report(wiki, this._history, report));
+        } else if (report) {
+            console.warn(`${wiki.url}: Reports require the history to be enabled.`);
+        }
+        if (digest) {
+            schedules.push(new Digest(wiki, digest));
+        }
+        return schedules;
+    }
+    /**
+     * Initializes the notifiers a routing rule sends changes to.
+     * Rules with only a `thread` send to copies of the wiki's Discord
+     * webhooks posting in that thread.
+     * @param {object} rule Routing rule from the configuration
+     * @param {string} url URL of the wiki the rule applies to
+     * @param {object} wikiConfig Configuration of the wiki
+     * @param {Array} notifiers All notifiers of the wiki, which the rule's
+     * notifiers are added to
+     * @returns {object} Routing rule with `keys` of its outbox notifiers
+     * @private
+     */
+    _initRule(rule, url, wikiConfig, notifiers) {
+        const keys = [];
+        let configs = [];
+        if (rule.notifiers || rule.id) {
+            configs = getNotifierConfigs(rule);
+        } else if (rule.thread) {
+            configs = getThreadConfigs(wikiConfig, rule.thread);
+        }
+        for (const options of configs) {
+            const key = `${url}#${notifiers.length}`;
+            const notifier = createNotifier(options, url);
+            notifiers.push(notifier);
+            this._outbox.register(key, notifier);
+            keys.push(key);
+        }
+        return {
+            ...rule,
+            keys
+        };
+    }
+    /**
+     * Initializes the cache for saving last review state.
+     * The cache maps each wiki's URL to a map of page titles to their last
+     * known review state. Wikis with cached review states start catching
+     * up on changes that happened while offline.
+     * @private
+     */
+    async _initCache() {
+        this._cache = await this._cacheFile.load(this._wikis[0].url);
+        const {savedAt} = this._cacheFile;
+        if (savedAt) {
+            console.info(`Review states were last saved ${formatDuration(Date.now() - savedAt)} ago.`);
+        }
+        for (const wiki of this._wikis) {
+            wiki.data = this._cache[wiki.url] || null;
+            if (wiki.data) {
+                wiki.catchUp.start(savedAt);
+            }
+        }
+    }
+    /**
+     * Converts a triplet of (subdomain, domain, language) into a Fandom
+     * wiki URL.
+     * @param {string} wiki Subdomain of the wii
+     * @param {string} domain Domain of the wiki (fandom.com/wikia.org)
+     * @param {string} language Language in the wiki's article path
+     * @returns {string} URL of the wiki
+     */
+    _getWikiUrl(wiki, domain, language) {
+        if (wiki.includes('.')) {
+            const [subdomain, lang] = wiki.split('.');
+            return `https://${subdomain}.${domain}/${lang}`;
+        } else if (language) {
+            return `https://${wiki}.${domain}/${language}`;
+        }
+        return `https://${wiki}.${domain}`;
+    }
+    /**
+     * Initiates the polling, which logs into Fandom first.
+     * A failed login counts as a failed poll, and is retried with backoff.
+     */
+    async run() {
+        if (this._replayFiles) {
+            await this._replay(this._replayFiles);
+            return;
+        }
+        await this._initCache();
+        await this._outbox.load();
+        await Promise.all(this._wikis.map(this._tick, this));
+    }
+    /**
+     * Logs into Fandom.
+     * Concurrent calls, such as when the session expires while polling
+     * multiple wikis, share the same login attempt.
+     * @returns {Promise} Promise resolving once logged in
+     */
+    login() {
+        if (!this._loginPromise) {
+            this._loginPromise = this._doLogin();
+        }
+        return this._loginPromise;
+    }
+    /**
+     * Sends the login request to Fandom.
+     * @private
+     */
+    async _doLogin() {
+        const config = this._config;
+        try {
+            this._debug('Logging in...');
+            await this._auth.login(config, this._wikis[0].url);
+            this._debug('Logged in.');
+            if (!this._loggedIn) {
+                this._loggedIn = true;
+                this._startSchedules();
+            }
+            this.emit('login', {
+                username: config.username
+            });
+        } finally {
+            this._loginPromise = null;
+        }
+    }
+    /**
+     * Starts the scheduled reports and digests of all wikis, which dry runs
+     * do not post.
+     * @private
+     */
+    _startSchedules() {
+        for (const wiki of this._dryRun || this._finished ? [] : this._wikis) {
+            for (const schedule of wiki.schedules) {
+                schedule.start();
+            }
+        }
+    }
+    /**
+     * Logs content while in debug mode.
+     * @param {string} content Message to log
+     * @private
+     */
+    _debug(content) {
+        if (this._config.debug) {
+            console.debug(content);
+        }
+    }
+    /**
+     * Polls a wiki and schedules the next poll.
+     * @param {object} wiki Wiki to poll
+     * @private
+     */
+    async _tick(wiki) {
+        await this._poll(wiki);
+        if (this._finished) {
+            return;
+        }
+        wiki.timer = setTimeout(
+            this._tick.bind(this, wiki),
+            this._getDelay(wiki)
+        );
+    }
+    /**
+     * Calculates the delay until the next poll of a wiki.
+     * The configured interval doubles with every consecutive failure, up to
+     * the configured maximum interval.
+     * @param {object} wiki Wiki to poll
+     * @returns {number} Delay in milliseconds
+     * @private
+     */
+    _getDelay(wiki) {
+        if (wiki.failures === 0) {
+            return wiki.interval;
+        }
+        return Math.min(
+            wiki.interval * 2 ** wiki.failures,
+            Math.max(this._health.maxInterval, wiki.interval)
+        );
+    }
+    /**
+     * Polls Nirvana for status of JavaScript pages.
+     * @param {object} wiki Wiki to poll
+     * @private
+     */
+    async _poll(wiki) {
+        this._debug(`Polling ${wiki.url}...`);
+        try {
+            const {complete, pages, skipped} =
+                await this._fetchPagesLoggedIn(wiki);
+            this._debug(`Poll response from ${wiki.url}.`);
+            this._reportSkipped(wiki, skipped);
+            await this._handleListing(wiki, pages, complete);
+            await this._health.succeeded(wiki);
+        } catch (error) {
+            console.error(`Polling ${wiki.url} failed!`, error);
+            this.emit('pollError', {
+                error,
+                wiki: wiki.url
+            });
+            await this._health.failed(wiki, error);
+        }
+    }
+    /**
+     * Replays saved Special:JSPages listings of the first configured wiki
+     * in order, as if each of them was received in a poll. Replays start
+     * from an empty cache, so the first listing only initializes it.
+     * Files that cannot be read and listings that cannot be read at all are
+     * skipped.
+     * @param {string[]} files Paths to the saved listings
+     * @private
+     */
+    async _replay(files) {
+        const [wiki] = this._wikis;
+        this._cache = {};
+        for (const file of files) {
+            console.info(`Replaying ${file}...`);
+            let listing = null;
+            try {
+                const html = await readFile(file, 'utf-8');
+                listing = this._scraper.parseListing(html);
+            } catch (error) {
+                console.error(`Could not read ${file}:`, error.message);
+                continue;
+            }
+            const {pages, skipped} = listing;
+            this._reportSkipped(wiki, skipped);
+            await this._handleListing(wiki, pages, skipped.length === 0);
+        }
+        this.stop();
+    }
+    /**
+     * Processes a received listing, posts the resulting changes and saves
+     * the new review states.
+     * Replays skip fetching diffs and review details, and dry runs leave
+     * the cache and history untouched.
+     * @param {object} wiki Wiki the listing is from
+     * @param {object} pages Map of page titles to review statuses
+     * @param {boolean} complete Whether the whole listing was read
+     * @private
+     */
+    async _handleListing(wiki, pages, complete = true) {
+        if (!wiki.data) {
+            wiki.data = pages;
+            this._cache[wiki.url] = pages;
+        }
+        const changes = this._processListing(wiki, pages, complete)
+            .filter(change => wiki.events[change.type] !== false);
+        changes.push(...wiki.reminders.check(wiki.data));
+        if (!this._replayFiles) {
+            await this._enrich(wiki, changes);
+        }
+        if (!await wiki.catchUp.handle(changes)) {
+            await this._post(wiki, changes);
+        }
+        if (this._dryRun) {
+            wiki.transitions.splice(0);
+            return;
+        }
+        await this._recordHistory(wiki);
+        await this._cacheFile.save(this._cache);
+    }
+    /**
+     * Reports rows of a listing that could not be read. The same problems
+     * are only reported again once they change.
+     * @param {object} wiki Wiki the listing is from
+     * @param {string[]} skipped Descriptions of the skipped rows
+     * @private
+     */
+    _reportSkipped(wiki, skipped) {
+        const report = skipped.join('; ');
+        if (report && report !== wiki.skipped) {
+            console.warn(`${wiki.url}: Skipped ${skipped.length} rows of the listing that could not be read: ${report}`);
+        }
+        wiki.skipped = report;
+    }
+    /**
+     * Fetches the review statuses of a wiki from its source, logging in
+     * first if not logged in yet, and again and retrying once if the
+     * session has expired.
+     * @param {object} wiki Wiki to fetch the review statuses from
+     * @returns {Promise<object>} Map of page titles to review statuses,
+     * whether the whole listing was read and descriptions of `skipped`
+     * rows
+     * @private
+     */
+    async _fetchPagesLoggedIn(wiki) {
+        if (!this._loggedIn) {
+            await this.login();
+        }
+        try {
+            return await wiki.source.fetch(wiki);
+        } catch (error) {
+            if (error.code !== 'ESESSION') {
+                throw error;
+            }
+            console.warn(`${wiki.url}: Session expired, logging in again.`);
+            await this.login();
+            return wiki.source.fetch(wiki);
+        }
+    }
+    /**
+     * Processes all pages in the received listing.
+     * Besides status changes of listed pages, this detects pages that were
+     * removed from the listing, and pairs removed and newly listed pages
+     * with the same revision as renames.
+     * @param {object} wiki Wiki the listing is from
+     * @param {object} pages Map of page titles to review statuses
+     * @param {boolean} complete Whether the whole listing was read
+     * @returns {object[]} Changes to be passed on to the notifiers
+     * @private
+     */
+    _processListing(wiki, pages, complete) {
+        const removed = this._getRemovedPages(wiki, pages, complete);
+        const changes = Object.values(pages)
+            .map(page => this._processPage(wiki, page))
+            .filter(Boolean);
+
+        for (const [index, change] of changes.entries()) {
+            const old = change.type === 'new' &&
+                removed.find(page => page.rev === change.rev);
+            if (old) {
+                removed.splice(removed.indexOf(old), 1);
+                wiki.data[change.title].threads = old.threads;
+                delete wiki.data[old.title];
+                this._debug(`${old.title} -> ${change.title}`);
+                this._record(wiki, 'renamed', old, change, {
+                    oldTitle: old.title
+                });
+                changes[index] = {
+                    ...change,
+                    oldTitle: old.title,
+                    type: 'renamed'
+                };
+            }
+        }
+
+        for (const page of removed) {
+            delete wiki.data[page.title];
+            this._debug(`${page.title} removed from listing.`);
+            this._record(wiki, 'removed', page, null);
+            changes.push(this._getChange(page, 'removed'));
+        }
+
+        for (const change of changes) {
+            if (change.type === 'new') {
+                this._record(wiki, 'new', null, change);
+            }
+        }
+
+        return changes;
+    }
+    /**
+     * Finds cached pages that are no longer in the received listing.
+     * Removals are not detected from incomplete or empty listings, as these
+     * more likely mean that pages were skipped or the markup changed.
+     * Like changed statuses, a page is only removed once it has been missing
+     * in the configured number of consecutive polls, and pages that were
+     * not confirmed as new yet are forgotten.
+     * @param {object} wiki Wiki the listing is from
+     * @param {object} pages Map of page titles to review statuses
+     * @param {boolean} complete Whether the whole listing was read
+     * @returns {object[]} Cached pages confirmed missing from the listing
+     * @private
+     */
+    _getRemovedPages(wiki, pages, complete) {
+        if (!complete) {
+            return [];
+        }
+        if (Object.keys(pages).length === 0) {
+            if (Object.keys(wiki.data).length) {
+                console.warn(`${wiki.url}: Special:JSPages listing is empty, not treating cached pages as removed.`);
+            }
+            return [];
+        }
+        const removed = [];
+        for (const page of Object.values(wiki.data)) {
+            if (pages[page.title]) {
+                continue;
+            }
+            if (page.rev === undefined) {
+                this._debug(`${page.title}: Discarding unconfirmed new page.`);
+                delete wiki.data[page.title];
+                continue;
+            }
+            page.missing = (page.missing || 0) + 1;
+            if (page.missing < wiki.confirmations) {
+                this._debug(`${page.title}: Missing from listing ${page.missing}/${wiki.confirmations} times.`);
+                continue;
+            }
+            removed.push(page);
+        }
+        return removed;
+    }
+    /**
+     * Processes received page information.
+     * If a page's revision status changed, or the page was not listed before,
+     * it returns the change to be relayed to notifiers.
+     * A changed status or a new page is only accepted once it has been seen
+     * in the configured number of consecutive polls, so that statuses
+     * briefly flapping between old and new values and pages briefly
+     * dropping out of the listing are not reported. Until then, new pages
+     * are cached with only their `pending` state.
+     * Also updates the currently cached information about the page.
+     * @param {object} wiki Wiki the page is on
+     * @param {object} page JavaScript page information
+     * @returns {object|null} Object of {title, rev, status, type, (optional)
+     *                         liveRev} to be passed on to the notifiers.
+     */
+    _processPage(wiki, page) {
+        const {title, status, rev} = page;
+        const curr = wiki.data[title];
+
+        if (curr && curr.missing) {
+            this._debug(`${title}: Listed again after missing ${curr.missing} times.`);
+            delete curr.missing;
+        }
+
+        if (!curr || curr.rev === undefined) {
+            this._debug(`${title}: Current revision is not cached.`);
+            const entry = curr || {title};
+            wiki.data[title] = entry;
+            if (!this._isConfirmed(wiki, entry, page)) {
+                return null;
+            }
+            this._savePage(wiki, page);
+            return this._getChange(page, 'new');
+        }
+
+        if (curr.rev === rev && curr.status === status) {
+            if (curr.pending) {
+                this._debug(`${title}: Discarding unconfirmed change to ${curr.pending.rev} (${curr.pending.status}).`);
+            }
+            this._savePage(wiki, page);
+            return null;
+        }
+
+        if (!this._isConfirmed(wiki, curr, page)) {
+            return null;
+        }
+
+        this._debug(`${title}: ${curr.rev} -> ${rev}, ${curr.status} -> ${status}`);
+        this._savePage(wiki, page);
+        const regression = isRegression(curr, page);
+        this._record(wiki, regression ? 'regression' : status, curr, page);
+
+        if (regression) {
+            return {
+                ...this._getChange(page, 'regression'),
+                oldRev: curr.rev,
+                oldStatus: curr.status
+            };
+        }
+
+        if (status === 'unsubmitted') {
+            return null;
+        }
+
+        return {
+            ...this._getChange(page, status),
+            awaitingSince: wiki.data[title].awaitingSince
+        };
+    }
+    /**
+     * Records that a page was seen with a changed state, and checks whether
+     * the state was seen in enough consecutive polls to be accepted.
+     * @param {object} wiki Wiki the page is on
+     * @param {object} curr Cached information about the page
+     * @param {object} page JavaScript page information
+     * @returns {boolean} Whether the changed state is confirmed
+     * @private
+     */
+    _isConfirmed(wiki, curr, page) {
+        const {pending} = curr;
+        if (
+            pending &&
+            pending.rev === page.rev &&
+            pending.status === page.status
+        ) {
+            ++pending.count;
+        } else {
+            if (pending) {
+                this._debug(`${page.title}: Discarding unconfirmed change to ${pending.rev} (${pending.status}).`);
+            }
+            curr.pending = {
+                count: 1,
+                rev: page.rev,
+                status: page.status
+            };
+        }
+        if (curr.pending.count < wiki.confirmations) {
+            this._debug(`${page.title}: Change to ${page.rev} (${page.status}) seen ${curr.pending.count}/${wiki.confirmations} times.`);
+            return false;
+        }
+        return true;
+    }
+    /**
+     * Queues a review state transition to be written to the history, and
+     * emits it as an event.
+     * @param {object} wiki Wiki the page is on
+     * @param {string} type Type of the transition
+     * @param {object|null} from Previous state of the page
+     * @param {object|null} to New state of the page
+     * @param {object} extra Additional information about the transition
+     * @private
+     */
+    _record(wiki, type, from, to, extra) {
+        const transition = {
+            new: getState(to),
+            old: getState(from),
+            ...extra,
+            timestamp: new Date().toISOString(),
+            title: (to || from).title,
+            type,
+            wiki: wiki.url
+        };
+        wiki.transitions.push(transition);
+        this.emit(TRANSITION_EVENTS[type] || 'statusChange', transition);
+    }
+    /**
+     * Writes review state transitions seen in the last poll to the history.
+     * @param {object} wiki Polled wiki
+     * @private
+     */
+    async _recordHistory(wiki) {
+        const transitions = wiki.transitions.splice(0);
+        if (this._history) {
+            await this._history.append(transitions);
+        }
+    }
+    /**
+     * Saves received page information to the cache.
+     * Threads of the page are kept, and when the revision stays the same,
+     * the time it started awaiting review and the messages it was posted in
+     * are kept as well, along with the reminders posted about it while its
+     * status stays the same too.
+     * @param {object} wiki Wiki the page is on
+     * @param {object} page JavaScript page information
+     * @private
+     */
+    _savePage(wiki, page) {
+        const {title, status, rev, liveRev} = page;
+        const curr = wiki.data[title];
+        const entry = {
+            liveRev,
+            rev,
+            status,
+            threads: curr && curr.threads,
+            title
+        };
+        if (curr && curr.rev === rev) {
+            entry.awaitingSince = curr.awaitingSince;
+            entry.messages = curr.messages;
+        }
+        if (curr && curr.rev === rev && curr.status === status) {
+            entry.reminded = curr.reminded;
+        }
+        if (status === 'awaiting' && !entry.awaitingSince) {
+            entry.awaitingSince = Date.now();
+        }
+        wiki.data[title] = entry;
+    }
+    /**
+     * Creates a change to be passed on to the notifiers.
+     * @param {object} page JavaScript page information
+     * @param {string} type Type of the change
+     * @returns {object} Change of the page
+     * @private
+     */
+    _getChange(page, type) {
+        const {title, status, rev, liveRev} = page;
+        return {
+            liveRev,
+            rev,
+            status,
+            timestamp: Date.now(),
+            title,
+            type
+        };
+    }
+    /**
+     * Adds diffs and review details to changes, for wikis configured to
+     * show them.
+     * @param {object} wiki Wiki the changes happened on
+     * @param {object[]} changes Review status changes
+     * @private
+     */
+    async _enrich(wiki, changes) {
+        const [diffs, details] = await Promise.all([
+            wiki.diffs ?
+                Promise.all(changes.map(
+                    change => this._getDiff(wiki, change)
+                )) :
+                [],
+            wiki.details ?
+                Promise.all(changes.map(
+                    change => this._getDetails(wiki, change)
+                )) :
+                []
+        ]);
+        for (const [index, change] of changes.entries()) {
+            if (diffs[index]) {
+                change.diff = diffs[index];
+            }
+            if (details[index]) {
+                change.details = details[index];
+            }
+        }
+    }
+    /**
+     * Fetches who submitted and reviewed the revision of a change.
+     * Submitters with a configured Discord user ID are pinged.
+     * Failing to fetch the details does not prevent the change from being
+     * reported.
+     * @param {object} wiki Wiki the change happened on
+     * @param {object} change Review status change
+     * @returns {Promise<object|null>} Details of the change, if available
+     * @private
+     */
+    async _getDetails(wiki, change) {
+        if (change.type === 'removed' || change.type === 'renamed') {
+            return null;
+        }
+        try {
+            const details = await this._details.fetch(wiki.url, change);
+            const discordId = details.submitter &&
+                (this._config.discordUsers || {})[details.submitter];
+            return discordId ?
+                {
+                    ...details,
+                    discordId
+                } :
+                details;
+        } catch (error) {
+            console.error(`${wiki.url}: Failed to fetch review details of ${change.title}:`, error);
+            return null;
+        }
+    }
+    /**
+     * Fetches statistics and an excerpt of the diff between the live and
+     * the new revision of a change.
+     * Failing to fetch the diff does not prevent the change from being
+     * reported.
+     * @param {object} wiki Wiki the change happened on
+     * @param {object} change Review status change
+     * @returns {Promise<object|null>} Diff of the change, if available
+     * @private
+     */
+    async _getDiff(wiki, change) {
+        const {liveRev, rev, type} = change;
+        if (
+            liveRev === undefined ||
+            liveRev === rev ||
+            type === 'removed' ||
+            type === 'renamed'
+        ) {
+            return null;
+        }
+        try {
+            return await this._diffs.fetch(wiki.url, liveRev, rev);
+        } catch (error) {
+            console.error(`${wiki.url}: Failed to fetch diff of ${change.title}:`, error);
+            return null;
+        }
+    }
+    /**
+     * Queues review status changes for delivery to notifiers of a wiki, as
+     * decided by its routing rules.
+     * @param {object} wiki Wiki the changes happened on
+     * @param {object[]} changes Review status changes
+     * @private
+     */
+    async _post(wiki, changes) {
+        if (changes.length === 0) {
+            return;
+        }
+
+        const routes = new Map();
+        for (const change of changes) {
+            const {drop, keys, roles} = wiki.router.route(change);
+            if (drop) {
+                this._debug(`${change.title}: Dropped by routing rules.`);
+                continue;
+            }
+            if (roles.length) {
+                change.roles = [...new Set([...change.roles || [], ...roles])];
+            }
+            for (const key of keys) {
+                if (!routes.has(key)) {
+                    routes.set(key, []);
+                }
+                routes.get(key).push(this._getRoutedChange(wiki, key, change));
+            }
+        }
+
+        await Promise.all([...routes].map(
+            ([key, routed]) => this._outbox.enqueue(key, routed)
+        ));
+    }
+    /**
+     * Attaches the message a revision was previously posted in through a
+     * notifier to a change of its review status, so the notifier can edit
+     * the message instead of posting a new one, as well as the thread the
+     * notifier created for the page.
+     * @param {object} wiki Wiki the change happened on
+     * @param {string} key Key of the notifier
+     * @param {object} change Review status change
+     * @returns {object} Change to deliver through the notifier
+     * @private
+     */
+    _getRoutedChange(wiki, key, change) {
+        const entry = wiki.data[change.title];
+        const routed = {
+            ...change
+        };
+        if (
+            wiki.editMessages &&
+            (change.type === 'live' || change.type === 'rejected') &&
+            entry &&
+            entry.rev === change.rev &&
+            entry.messages &&
+            entry.messages[key]
+        ) {
+            routed.message = entry.messages[key];
+        }
+        if (entry && entry.threads && entry.threads[key]) {
+            routed.thread = entry.threads[key];
+        }
+        return routed;
+    }
+    /**
+     * Remembers which messages revisions were posted in, and which threads
+     * were created for pages, after a delivery.
+     * @param {string} key Key of the notifier the changes were delivered
+     * through
+     * @param {object[]} _changes Delivered changes
+     * @param {object} result Result of the delivery
+     * @private
+     */
+    _delivered(key, _changes, result) {
+        if (!result || !result.messages) {
+            return;
+        }
+        const url = key.slice(0, key.lastIndexOf('#'));
+        const wiki = this._wikis.find(w => w.url === url);
+        if (!wiki || !wiki.data) {
+            return;
+        }
+        for (const {id, index, rev, thread, title} of result.messages) {
+            const entry = wiki.data[title];
+            if (entry && entry.rev === rev) {
+                entry.messages = {
+                    ...entry.messages,
+                    [key]: {
+                        id,
+                        index,
+                        thread
+                    }
+                };
+            }
+        }
+        for (const [title, thread] of Object.entries(result.threads || {})) {
+            const entry = wiki.data[title];
+            if (entry && thread) {
+                entry.threads = {
+                    ...entry.threads,
+                    [key]: thread
+                };
+            }
+        }
+    }
+    /**
+     * Stops polling and cleans up the notifiers.
+     */
+    stop() {
+        console.info('Exiting...');
+        this._finished = true;
+        this._outbox.destroy();
+        this._health.destroy();
+        for (const wiki of this._wikis) {
+            clearTimeout(wiki.timer);
+            for (const schedule of wiki.schedules) {
+                schedule.stop();
+            }
+            for (const notifier of [...wiki.notifiers, ...wiki.ruleNotifiers]) {
+                notifier.destroy();
+            }
+        }
+    }
+}
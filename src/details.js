@@ -0,0 +1,122 @@
+/**
+ * details.js
+ *
+ * Fetching of who submitted and reviewed revisions.
+ */
+
+/**
+ * Constants.
+ */
+const MAX_CACHED = 500;
+const LOG_LIMIT = 10;
+
+/**
+ * Fetches the submitter of a revision, and the reviewer and rejection
+ * reason of its review, through the MediaWiki API.
+ * Reviews are only looked up in the content review log, where the wiki
+ * exposes it.
+ */
+export default class DetailsFetcher {
+    /**
+     * Class constructor.
+     * @param {import('got').Got} http HTTP client used to query the API
+     */
+    constructor(http) {
+        this._http = http;
+        this._cache = new Map();
+        this._noReviewLog = new Set();
+    }
+    /**
+     * Fetches details about a review status change.
+     * @param {string} wiki URL of the wiki
+     * @param {object} change Review status change
+     * @returns {Promise<object>} `submitter`, and for reviewed revisions
+     * `reviewer` and `reason`, where known
+     */
+    async fetch(wiki, change) {
+        const {rev, status} = change;
+        const key = `${wiki}|${rev}|${status}`;
+        if (this._cache.has(key)) {
+            return this._cache.get(key);
+        }
+        const details = {
+            submitter: await this._getSubmitter(wiki, rev)
+        };
+        if (status === 'live' || status === 'rejected') {
+            Object.assign(details, await this._getReview(wiki, change));
+        }
+        if (this._cache.size >= MAX_CACHED) {
+            this._cache.delete(this._cache.keys().next().value);
+        }
+        this._cache.set(key, details);
+        return details;
+    }
+    /**
+     * Queries the MediaWiki API.
+     * @param {string} wiki URL of the wiki
+     * @param {object} params Query parameters
+     * @returns {Promise<object>} API response
+     * @private
+     */
+    _query(wiki, params) {
+        return this._http.get(`${wiki}/api.php`, {
+            searchParams: {
+                action: 'query',
+                format: 'json',
+                formatversion: 2,
+                ...params
+            }
+        }).json();
+    }
+    /**
+     * Fetches the user who made a revision.
+     * @param {string} wiki URL of the wiki
+     * @param {number} rev Revision ID
+     * @returns {Promise<string|undefined>} Username of the revision's author
+     * @private
+     */
+    async _getSubmitter(wiki, rev) {
+        const response = await this._query(wiki, {
+            prop: 'revisions',
+            revids: rev,
+            rvprop: 'user'
+        });
+        const [page] = response.query && response.query.pages || [];
+        return page && page.revisions && page.revisions[0].user;
+    }
+    /**
+     * Fetches who reviewed a revision and why it was rejected.
+     * Only content review log entries about the revision itself are used.
+     * @param {string} wiki URL of the wiki
+     * @param {object} change Review status change
+     * @returns {Promise<object>} `reviewer` and `reason`, where known
+     * @private
+     */
+    async _getReview(wiki, change) {
+        const {rev, title} = change;
+        if (this._noReviewLog.has(wiki)) {
+            return {};
+        }
+        const response = await this._query(wiki, {
+            lelimit: LOG_LIMIT,
+            leprop: 'user|comment|details',
+            letitle: `MediaWiki:${title}`,
+            letype: 'contentreview',
+            list: 'logevents'
+        });
+        if (response.error) {
+            this._noReviewLog.add(wiki);
+            return {};
+        }
+        const event = response.query.logevents.find(
+            entry => entry.params && entry.params.revid === rev
+        );
+        if (!event) {
+            return {};
+        }
+        return {
+            reason: event.comment || undefined,
+            reviewer: event.user
+        };
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * diff.js
+ *
+ * Fetching of diff statistics between revisions.
+ */
+
+/**
+ * Importing modules.
+ */
+import {parse} from 'node-html-parser';
+
+/**
+ * Constants.
+ */
+const MAX_CACHED = 500;
+const MAX_LINES = 20;
+const ADDED_SELECTOR = 'td.diff-addedline';
+const DELETED_SELECTOR = 'td.diff-deletedline';
+
+/**
+ * Fetches diffs between revisions through the MediaWiki API and summarizes
+ * them as line counts and an excerpt of changed lines.
+ * Results are cached per pair of revisions.
+ */
+export default class DiffFetcher {
+    /**
+     * Class constructor.
+     * @param {import('got').Got} http HTTP client used to fetch diffs
+     */
+    constructor(http) {
+        this._http = http;
+        this._cache = new Map();
+    }
+    /**
+     * Fetches the diff between two revisions.
+     * @param {string} wiki URL of the wiki
+     * @param {number} fromRev Older revision
+     * @param {number} toRev Newer revision
+     * @returns {Promise<object>} Numbers of `added` and `removed` lines, and
+     * the first changed `lines` prefixed with `+` or `-`
+     */
+    async fetch(wiki, fromRev, toRev) {
+        const key = `${wiki}|${fromRev}|${toRev}`;
+        if (this._cache.has(key)) {
+            return this._cache.get(key);
+        }
+        const response = await this._http.get(`${wiki}/api.php`, {
+            searchParams: {
+                action: 'compare',
+                format: 'json',
+                formatversion: 2,
+                fromrev: fromRev,
+                prop: 'diff',
+                torev: toRev
+            }
+        }).json();
+        if (response.error) {
+            throw new Error(`Failed to fetch diff ${fromRev}..${toRev}: ${response.error.info}`);
+        }
+        const diff = this._summarize(response.compare.body);
+        if (this._cache.size >= MAX_CACHED) {
+            this._cache.delete(this._cache.keys().next().value);
+        }
+        this._cache.set(key, diff);
+        return diff;
+    }
+    /**
+     * Summarizes an HTML diff table.
+     * @param {string} body Rows of the HTML diff table
+     * @returns {object} Numbers of `added` and `removed` lines, and the
+     * first changed `lines`
+     * @private
+     */
+    _summarize(body) {
+        const tree = parse(`<table>${body}</table>`);
+        const diff = {
+            added: tree.querySelectorAll(ADDED_SELECTOR).length,
+            lines: [],
+            removed: tree.querySelectorAll(DELETED_SELECTOR).length
+        };
+        for (const cell of tree.querySelectorAll(`${DELETED_SELECTOR}, ${ADDED_SELECTOR}`)) {
+            if (diff.lines.length === MAX_LINES) {
+                break;
+            }
+            const prefix = cell.classList.contains('diff-addedline') ?
+                '+' :
+                '-';
+            diff.lines.push(`${prefix} ${cell.text.replace(/\n$/u, '')}`);
+        }
+        return diff;
+    }
+}
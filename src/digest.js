@@ -0,0 +1,93 @@
+/**
+ * digest.js
+ *
+ * Scheduled digests of the review queue.
+ */
+
+/**
+ * Importing modules.
+ */
+import Schedule from './schedule.js';
+import {broadcast} from './notifiers/index.js';
+import {getLinks} from './format.js';
+
+/**
+ * Constants.
+ */
+const DEFAULT_SCHEDULE = '0 9 * * *';
+const DEFAULT_OVERDUE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Posts a list of all revisions awaiting review on a wiki to its notifiers
+ * on a schedule.
+ */
+export default class Digest {
+    /**
+     * Class constructor.
+     * @param {object} wiki Wiki state the digest is about
+     * @param {string|boolean|object} options Cron expression of when to post
+     * the digest, `true` for every day at 9:00, or an object with the
+     * `schedule` and the age in milliseconds after which revisions are
+     * `overdue`
+     */
+    constructor(wiki, options) {
+        const {schedule, overdue} = typeof options === 'object' ?
+            options :
+            {
+                schedule: options
+            };
+        this._wiki = wiki;
+        this._overdue = overdue || DEFAULT_OVERDUE;
+        this._schedule = new Schedule(
+            typeof schedule === 'string' ? schedule : DEFAULT_SCHEDULE,
+            this.send.bind(this)
+        );
+    }
+    /**
+     * Starts posting the digest on schedule.
+     */
+    start() {
+        this._schedule.start();
+    }
+    /**
+     * Stops posting the digest.
+     */
+    stop() {
+        this._schedule.stop();
+    }
+    /**
+     * Posts the current review queue, unless it is empty.
+     */
+    async send() {
+        const digest = this.getDigest();
+        if (digest.entries.length === 0) {
+            return;
+        }
+        await broadcast(this._wiki.notifiers, 'sendDigest', digest, 'a digest');
+    }
+    /**
+     * Builds the digest of the review queue from the cached review states.
+     * Revisions that waited the longest come first, and ones whose wait
+     * started before it was tracked come last.
+     * @returns {object} Digest with its `entries` and number of `overdue`
+     * entries
+     */
+    getDigest() {
+        const now = Date.now();
+        const entries = Object.values(this._wiki.data || {})
+            .filter(page => page.status === 'awaiting')
+            .map(page => ({
+                links: getLinks(this._wiki.url, page),
+                overdue: Boolean(page.awaitingSince) &&
+                    now - page.awaitingSince > this._overdue,
+                rev: page.rev,
+                title: page.title,
+                waiting: page.awaitingSince ? now - page.awaitingSince : null
+            }))
+            .sort((a, b) => (b.waiting ?? -1) - (a.waiting ?? -1));
+        return {
+            entries,
+            overdue: entries.filter(entry => entry.overdue).length
+        };
+    }
+}
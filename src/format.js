@@ -0,0 +1,227 @@
+/**
+ * format.js
+ *
+ * Helpers for formatting review status changes, shared by all notifiers.
+ */
+
+/**
+ * Constants.
+ */
+export const DATA = {
+    awaiting: ['Revision awaiting review', 0x008CCE],
+    live: ['Revision approved', 0x76BF06],
+    new: ['New script submitted', 0x9B59B6],
+    regression: ['Review status regressed', 0xE67E22],
+    rejected: ['Revision rejected', 0xE1390B],
+    reminder: ['Revision still awaiting review', 0xF39C12],
+    removed: ['Script removed from listing', 0x95A5A6],
+    renamed: ['Script renamed', 0xF1C40F]
+};
+
+/**
+ * Formats a duration in a short human-readable form, such as `2d 4h` or
+ * `35m`.
+ * @param {number} duration Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(duration) {
+    const minutes = Math.floor(duration / 60000);
+    const parts = [
+        [Math.floor(minutes / 1440), 'd'],
+        [Math.floor(minutes / 60) % 24, 'h'],
+        [minutes % 60, 'm']
+    ].filter(([value]) => value > 0);
+    if (parts.length === 0) {
+        return '<1m';
+    }
+    return parts
+        .slice(0, 2)
+        .map(([value, unit]) => `${value}${unit}`)
+        .join(' ');
+}
+
+/**
+ * Returns the title and color used for a change.
+ * @param {object} change Review status change
+ * @returns {Array} Title and color of the change
+ */
+export function getData(change) {
+    return DATA[change.type || change.status];
+}
+
+/**
+ * Returns a note with details about a change that are not conveyed through
+ * its title and links.
+ * @param {object} change Review status change
+ * @returns {string|null} Note about the change
+ */
+export function getNote(change) {
+    switch (change.type) {
+        case 'renamed':
+            return `Renamed from ${change.oldTitle}`;
+        case 'removed':
+            return 'No longer listed on Special:JSPages';
+        case 'regression':
+            return `Went back from ${change.oldStatus} (#${change.oldRev}) to ${change.status} (#${change.rev})`;
+        case 'reminder':
+            return `Awaiting review for ${formatDuration(change.timestamp - change.awaitingSince)} (reminder ${change.level} of ${change.levels})`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Returns the URL of a revision on a wiki.
+ * @param {string} wiki URL of the wiki
+ * @param {number} rev Revision ID
+ * @returns {string} Permanent link to the revision
+ */
+export function getRevisionUrl(wiki, rev) {
+    return `${wiki}/?oldid=${rev}`;
+}
+
+/**
+ * Returns links relevant to a review status change: the page itself, either
+ * a diff against the live revision or a permalink, and the talk page for
+ * rejected revisions.
+ * @param {string} wiki URL of the wiki
+ * @param {object} change Review status change
+ * @returns {Array<{label: string, url: string}>} Links to show
+ */
+export function getLinks(wiki, change) {
+    const {title, rev, status, liveRev} = change;
+    const encTitle = encodeURIComponent(title);
+    const links = [
+        {
+            label: title,
+            url: `${wiki}/wiki/MediaWiki:${encTitle}`
+        }
+    ];
+
+    if (rev !== liveRev && liveRev !== undefined) {
+        links.push({
+            label: 'Diff',
+            url: `${wiki}/?oldid=${liveRev}&diff=${rev}`
+        });
+    } else {
+        links.push({
+            label: 'Permalink',
+            url: getRevisionUrl(wiki, rev)
+        });
+    }
+
+    if (status === 'rejected') {
+        links.push({
+            label: 'Talk page',
+            url: `${wiki}/wiki/MediaWiki_talk:${encTitle}`
+        });
+    }
+
+    return links;
+}
+
+/**
+ * Returns a summary of the numbers of lines changed in a diff.
+ * @param {object} diff Diff between the live and the new revision
+ * @returns {string} Summary of changed lines
+ */
+export function getDiffStats(diff) {
+    return `+${diff.added} / -${diff.removed} lines`;
+}
+
+/**
+ * Returns changed lines of a diff, cut off at a line boundary so that they
+ * fit in the given number of characters.
+ * @param {object} diff Diff between the live and the new revision
+ * @param {number} maxLength Maximum length of the excerpt
+ * @returns {string} Excerpt of changed lines
+ */
+export function getExcerpt(diff, maxLength) {
+    let excerpt = '';
+    for (const line of diff.lines) {
+        const next = excerpt ? `${excerpt}\n${line}` : line;
+        if (next.length > maxLength) {
+            if (!excerpt) {
+                excerpt = `${line.slice(0, maxLength - 1)}…`;
+            }
+            break;
+        }
+        excerpt = next;
+    }
+    return excerpt;
+}
+
+/**
+ * Returns the URL of a user's profile on a wiki.
+ * @param {string} wiki URL of the wiki
+ * @param {string} user Username
+ * @returns {string} URL of the user's page
+ */
+export function getUserUrl(wiki, user) {
+    return `${wiki}/wiki/User:${encodeURIComponent(user.replace(/ /gu, '_'))}`;
+}
+
+/**
+ * Returns who reviewed a change and why, as name and value pairs.
+ * @param {object} details Submitter, reviewer and reason of the change
+ * @returns {Array<{name: string, value: string}>} Review details to show
+ */
+export function getReviewFields(details) {
+    const fields = [];
+    if (details.reviewer) {
+        fields.push({
+            name: 'Reviewer',
+            value: details.reviewer
+        });
+    }
+    if (details.reason) {
+        fields.push({
+            name: 'Reason',
+            value: details.reason
+        });
+    }
+    return fields;
+}
+
+/**
+ * Returns how long a reviewed revision waited for its review.
+ * @param {object} change Review status change
+ * @returns {string|null} Formatted time in review, if known
+ */
+export function getReviewTime(change) {
+    if (
+        !change.awaitingSince ||
+        change.status !== 'live' && change.status !== 'rejected'
+    ) {
+        return null;
+    }
+    return formatDuration(
+        (change.timestamp || Date.now()) - change.awaitingSince
+    );
+}
+
+/**
+ * Returns the title of a review queue digest.
+ * @param {object} digest Digest of the review queue
+ * @returns {string} Number of revisions awaiting review and overdue
+ */
+export function getDigestTitle(digest) {
+    const {entries, overdue} = digest;
+    const title = entries.length === 1 ?
+        '1 revision awaiting review' :
+        `${entries.length} revisions awaiting review`;
+    return overdue ? `${title}, ${overdue} overdue` : title;
+}
+
+/**
+ * Returns how long a revision in a review queue digest has been waiting.
+ * @param {object} entry Entry of the digest
+ * @returns {string} Formatted waiting time
+ */
+export function getWaitingTime(entry) {
+    if (entry.waiting === null) {
+        return 'waiting since before it was tracked';
+    }
+    const time = `waiting ${formatDuration(entry.waiting)}`;
+    return entry.overdue ? `${time}, overdue` : time;
+}
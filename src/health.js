@@ -0,0 +1,90 @@
+/**
+ * health.js
+ *
+ * Alerts about consecutive polling failures.
+ */
+
+/**
+ * Importing modules.
+ */
+import {broadcast, createNotifiers} from './notifiers/index.js';
+
+/**
+ * Constants.
+ */
+const DEFAULT_MAX_INTERVAL = 30 * 60 * 1000;
+const DEFAULT_ALERT_THRESHOLD = 5;
+const ALERTS = {
+    failing: ['Polling failing', 0xE1390B],
+    recovered: ['Polling recovered', 0x76BF06]
+};
+
+/**
+ * Tracks polling failures of wikis and alerts the health notifiers when
+ * polling keeps failing and once it recovers.
+ */
+export default class Health {
+    /**
+     * Class constructor.
+     * @param {object} options Health configuration
+     */
+    constructor(options = {}) {
+        this._notifiers = options.id || options.notifiers ?
+            createNotifiers(options, null) :
+            [];
+        this._threshold = options.threshold || DEFAULT_ALERT_THRESHOLD;
+        this.maxInterval = options.maxInterval || DEFAULT_MAX_INTERVAL;
+    }
+    /**
+     * Resets the failure count of a wiki after a successful poll, and
+     * reports the recovery if its failures were alerted.
+     * @param {object} wiki Polled wiki
+     */
+    async succeeded(wiki) {
+        const {failures} = wiki;
+        wiki.failures = 0;
+        if (failures >= this._threshold) {
+            await this._alert(
+                'recovered',
+                `Polling ${wiki.url} succeeded again after ${failures} consecutive failures.`
+            );
+        }
+    }
+    /**
+     * Counts a failed poll of a wiki, and alerts once the failures reach
+     * the configured threshold.
+     * @param {object} wiki Polled wiki
+     * @param {Error} error Error the poll failed with
+     */
+    async failed(wiki, error) {
+        ++wiki.failures;
+        if (wiki.failures === this._threshold) {
+            await this._alert(
+                'failing',
+                `Polling ${wiki.url} failed ${wiki.failures} times in a row. Last error: ${error.message}`
+            );
+        }
+    }
+    /**
+     * Cleans up resources used by the health notifiers.
+     */
+    destroy() {
+        for (const notifier of this._notifiers) {
+            notifier.destroy();
+        }
+    }
+    /**
+     * Sends an alert to the health notifiers.
+     * @param {string} type Type of the alert
+     * @param {string} description Description of the alert
+     * @private
+     */
+    async _alert(type, description) {
+        const [title, color] = ALERTS[type];
+        await broadcast(this._notifiers, 'sendAlert', {
+            color,
+            description,
+            title
+        }, 'an alert');
+    }
+}
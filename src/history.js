@@ -0,0 +1,162 @@
+/**
+ * history.js
+ *
+ * Persistent log of review state transitions.
+ */
+
+/**
+ * Importing modules.
+ */
+import {appendFile} from 'fs/promises';
+import {createInterface} from 'readline';
+import {createReadStream} from 'fs';
+
+/**
+ * Picks the parts of cached page information that make up its review state.
+ * @param {object} page JavaScript page information
+ * @returns {object|null} Review state of the page, or null if there is none
+ */
+export function getState(page) {
+    if (!page) {
+        return null;
+    }
+    const {liveRev, rev, status} = page;
+    return {
+        liveRev,
+        rev,
+        status
+    };
+}
+
+/**
+ * Checks whether a page's review state went backwards, such as the
+ * revision being rolled back or an approval being revoked.
+ * @param {object} curr Cached information about the page
+ * @param {object} page JavaScript page information
+ * @returns {boolean} Whether the change is a regression
+ */
+export function isRegression(curr, page) {
+    const {rev, status} = page;
+    return (
+        // If the new revision is older
+        curr.rev > rev ||
+        // or the revision stayed the same
+        curr.rev === rev &&
+        // but the status went back to
+        (
+            // awaiting
+            (
+                curr.status === 'live' ||
+                curr.status === 'rejected'
+            ) &&
+            status === 'awaiting' ||
+            // or unsubmitted
+            curr.status !== 'unsubmitted' &&
+            status === 'unsubmitted'
+        )
+    );
+}
+
+/**
+ * Log of every review state transition, stored as JSON Lines so that
+ * entries are only ever appended and the file can be inspected by hand.
+ */
+export default class History {
+    /**
+     * Class constructor.
+     * @param {string} path Path to the file the history is stored in
+     */
+    constructor(path) {
+        this._path = path;
+    }
+    /**
+     * Appends transitions to the history.
+     * @param {object[]} entries Transitions to record
+     */
+    async append(entries) {
+        if (entries.length === 0) {
+            return;
+        }
+        await appendFile(
+            this._path,
+            entries.map(entry => `${JSON.stringify(entry)}\n`).join('')
+        );
+    }
+    /**
+     * Reads transitions matching the given filters from the history.
+     * Lines that cannot be parsed, such as one cut off by a crash while it
+     * was being written, are skipped.
+     * @param {object} filters Filters to apply
+     * @param {RegExp} filters.title Pattern the page title has to match
+     * @param {string} filters.status Type of the transition or new status
+     * @param {string} filters.wiki URL of the wiki
+     * @param {Date} filters.since Earliest time of the transition
+     * @param {Date} filters.until Latest time of the transition
+     * @returns {Promise<object[]>} Matching transitions, oldest first
+     */
+    async query(filters = {}) {
+        const entries = [];
+        try {
+            const lines = createInterface({
+                crlfDelay: Infinity,
+                input: createReadStream(this._path, 'utf-8')
+            });
+            for await (const line of lines) {
+                const entry = this._parse(line);
+                if (entry && this._matches(entry, filters)) {
+                    entries.push(entry);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        return entries;
+    }
+    /**
+     * Parses a line of the history file.
+     * @param {string} line Line to parse
+     * @returns {object|null} Transition on the line, if it is valid
+     * @private
+     */
+    _parse(line) {
+        if (!line.trim()) {
+            return null;
+        }
+        try {
+            return JSON.parse(line);
+        } catch {
+            return null;
+        }
+    }
+    /**
+     * Checks whether a transition matches the query filters.
+     * @param {object} entry Recorded transition
+     * @param {object} filters Filters to apply
+     * @returns {boolean} Whether the transition matches
+     * @private
+     */
+    _matches(entry, filters) {
+        const {since, status, title, until, wiki} = filters;
+        const time = new Date(entry.timestamp);
+        return (
+            !title ||
+            title.test(entry.title) ||
+            Boolean(entry.oldTitle) && title.test(entry.oldTitle)
+        ) && (
+            !status ||
+            entry.type === status ||
+            Boolean(entry.new) && entry.new.status === status
+        ) && (
+            !wiki ||
+            entry.wiki === wiki
+        ) && (
+            !since ||
+            time >= since
+        ) && (
+            !until ||
+            time <= until
+        );
+    }
+}
@@ -0,0 +1,495 @@
+/**
+ * discord.js
+ *
+ * Notifier posting embeds through a Discord webhook.
+ */
+
+/**
+ * Importing modules.
+ */
+import {
+    DATA,
+    getData,
+    getDiffStats,
+    getDigestTitle,
+    getExcerpt,
+    getLinks,
+    getNote,
+    getReviewFields,
+    getReviewTime,
+    getRevisionUrl,
+    getUserUrl,
+    getWaitingTime
+} from '../format.js';
+import {REST, Routes, WebhookClient} from 'discord.js';
+import Notifier from './notifier.js';
+
+/**
+ * Constants.
+ */
+const MAX_EMBEDS = 10;
+const MAX_EMBED_CHARACTERS = 6000;
+const MAX_FIELD_LENGTH = 1024;
+const MAX_DESCRIPTION_LENGTH = 4096;
+const CODE_BLOCK_LENGTH = '```diff\n\n```'.length;
+const MAX_THREAD_NAME = 100;
+const UNKNOWN_CHANNEL = 10003;
+const UNKNOWN_MESSAGE = 10008;
+
+/**
+ * Posts review status changes as Discord embeds.
+ * @augments Notifier
+ */
+export default class DiscordNotifier extends Notifier {
+    /**
+     * Class constructor.
+     * @param {object} options Webhook ID and token, and optionally a
+     * `thread` to post in or a `threads` mode with its `botToken`
+     * @param {string} wiki URL of the wiki the notifier reports changes on
+     */
+    constructor(options, wiki) {
+        super(options, wiki);
+        this._webhook = new WebhookClient({
+            id: options.id,
+            token: options.token
+        });
+        if (options.threads && options.threads !== 'forum') {
+            this._rest = new REST().setToken(options.botToken);
+        }
+    }
+    /**
+     * Posts review status changes to the webhook.
+     * A change with the `message` its revision was previously posted in is
+     * edited into that message instead. In thread mode, changes are posted
+     * in their script's `thread`, which is created if it does not exist yet.
+     * @param {object[]} changes Review status changes
+     * @returns {Promise<object>} Messages the changes were posted in, and
+     * in thread mode the threads of their scripts
+     */
+    async send(changes) {
+        if (changes.length === 1 && changes[0].message) {
+            const [change] = changes;
+            if (await this._edit(change)) {
+                return {
+                    messages: [
+                        {
+                            ...change.message,
+                            rev: change.rev,
+                            title: change.title
+                        }
+                    ]
+                };
+            }
+        }
+        const {message, messageThread, thread} = await this._post(changes);
+        const result = {
+            messages: changes.map((change, index) => ({
+                id: message.id,
+                index,
+                rev: change.rev,
+                thread: messageThread,
+                title: change.title
+            }))
+        };
+        if (this._options.threads) {
+            result.threads = {
+                [changes[0].title]: thread
+            };
+        }
+        return result;
+    }
+    /**
+     * Returns the webhook message review status changes would be posted
+     * in.
+     * @param {object[]} changes Review status changes
+     * @returns {object} Webhook message without its destination
+     */
+    preview(changes) {
+        return this._getMessage(changes);
+    }
+    /**
+     * Builds the message for review status changes.
+     * @param {object[]} changes Review status changes
+     * @returns {object} Webhook message without its destination
+     * @private
+     */
+    _getMessage(changes) {
+        const users = [
+            ...new Set(changes
+                .map(change => change.details && change.details.discordId)
+                .filter(Boolean))
+        ];
+        const roles = [
+            ...new Set(changes.flatMap(change => change.roles || []))
+        ];
+        const mentions = [
+            ...roles.map(id => `<@&${id}>`),
+            ...users.map(id => `<@${id}>`)
+        ];
+        return {
+            allowedMentions: {
+                roles,
+                users
+            },
+            content: mentions.join(' ') || undefined,
+            embeds: changes.map(this._embed, this)
+        };
+    }
+    /**
+     * Posts a message for review status changes to the configured channel
+     * or thread, or in thread mode to the thread of their script.
+     * @param {object[]} changes Review status changes, all of the same
+     * script in thread mode
+     * @returns {Promise<object>} Posted `message`, the thread it was posted
+     * in as `messageThread`, and the script's `thread`
+     * @private
+     */
+    async _post(changes) {
+        const message = this._getMessage(changes);
+        if (!this._options.threads) {
+            return {
+                message: await this._webhook.send({
+                    ...message,
+                    threadId: this._options.thread
+                }),
+                messageThread: this._options.thread
+            };
+        }
+        const [{thread, title}] = changes;
+        if (thread) {
+            try {
+                return {
+                    message: await this._webhook.send({
+                        ...message,
+                        threadId: thread
+                    }),
+                    messageThread: thread,
+                    thread
+                };
+            } catch (error) {
+                if (error.code !== UNKNOWN_CHANNEL) {
+                    throw error;
+                }
+            }
+        }
+        return this._createThread(title, message);
+    }
+    /**
+     * Creates a script's thread with a message as its first post.
+     * In forum channels, the message starts a new post. In text channels,
+     * the message is posted in the channel and a thread is started from it,
+     * which requires a bot token.
+     * @param {string} title Title of the script
+     * @param {object} message Webhook message without its destination
+     * @returns {Promise<object>} Posted `message`, the thread it was posted
+     * in as `messageThread`, and the script's `thread`
+     * @private
+     */
+    async _createThread(title, message) {
+        const name = `MediaWiki:${title}`.slice(0, MAX_THREAD_NAME);
+        if (this._options.threads === 'forum') {
+            const post = await this._webhook.send({
+                ...message,
+                threadName: name
+            });
+            return {
+                message: post,
+                messageThread: post.channel_id,
+                thread: post.channel_id
+            };
+        }
+        const starter = await this._webhook.send(message);
+        const thread = await this._rest.post(
+            Routes.threads(starter.channel_id, starter.id),
+            {
+                body: {
+                    name
+                }
+            }
+        );
+        return {
+            message: starter,
+            thread: thread.id
+        };
+    }
+    /**
+     * Replaces the embed of a change's revision in the message it was
+     * previously posted in.
+     * Messages that no longer exist or that Discord refuses to edit, such
+     * as when the new embed makes the message too long, are left alone so
+     * the change is posted in a new message instead.
+     * @param {object} change Review status change
+     * @returns {Promise<boolean>} Whether the message was edited
+     * @private
+     */
+    async _edit(change) {
+        const {id, index} = change.message;
+        const threadId = change.message.thread || this._options.thread;
+        try {
+            const message = await this._webhook.fetchMessage(id, {
+                threadId
+            });
+            const embeds = [...message.embeds];
+            embeds[index] = this._embed(change);
+            await this._webhook.editMessage(id, {
+                embeds,
+                threadId
+            });
+            return true;
+        } catch (error) {
+            if (error.code === UNKNOWN_MESSAGE) {
+                return false;
+            }
+            const {status} = error;
+            if (status >= 400 && status < 500 && status !== 429) {
+                console.warn(`Could not edit the message ${change.title} was posted in, posting a new one:`, error.message);
+                return false;
+            }
+            throw error;
+        }
+    }
+    /**
+     * Posts an alert to the webhook, in forum channels as its own post.
+     * @param {object} alert Alert with a `title`, `description` and `color`
+     */
+    async sendAlert(alert) {
+        await this._webhook.send({
+            embeds: [
+                {
+                    ...alert,
+                    timestamp: new Date()
+                }
+            ],
+            ...this._getDestination(alert.title)
+        });
+    }
+    /**
+     * Posts a digest of revisions awaiting review to the webhook, split
+     * into several messages if it does not fit in a single embed.
+     * Overdue revisions are highlighted.
+     * @param {object} digest Digest of the review queue
+     */
+    async sendDigest(digest) {
+        const descriptions = [''];
+        for (const entry of digest.entries) {
+            const [page, diff] = entry.links;
+            const link = `[${page.label}](${page.url})`;
+            const line = `${entry.overdue ? `⚠️ **${link}**` : link} — ${getWaitingTime(entry)} ([${diff.label}](${diff.url}))`;
+            const last = descriptions.length - 1;
+            const next = descriptions[last] ?
+                `${descriptions[last]}\n${line}` :
+                line;
+            if (next.length > MAX_DESCRIPTION_LENGTH) {
+                descriptions.push(line);
+            } else {
+                descriptions[last] = next;
+            }
+        }
+        const title = getDigestTitle(digest);
+        let destination = this._getDestination(title);
+        for (const [index, description] of descriptions.entries()) {
+            const message = await this._webhook.send({
+                embeds: [
+                    {
+                        color: DATA.awaiting[1],
+                        description,
+                        timestamp: new Date(),
+                        title: index === 0 ? title : undefined
+                    }
+                ],
+                ...destination
+            });
+            if (destination.threadName) {
+                // The rest of the digest goes into the forum post just made.
+                destination = {
+                    threadId: message.channel_id
+                };
+            }
+        }
+    }
+    /**
+     * Determines where alerts and digests are posted. Forum channels do not
+     * accept messages outside of posts, so unless a `thread` is configured,
+     * they start a new forum post.
+     * @param {string} name Name of the forum post to start
+     * @returns {object} `threadId` or `threadName` to post with
+     * @private
+     */
+    _getDestination(name) {
+        if (this._options.threads === 'forum' && !this._options.thread) {
+            return {
+                threadName: String(name).slice(0, MAX_THREAD_NAME)
+            };
+        }
+        return {
+            threadId: this._options.thread
+        };
+    }
+    /**
+     * Splits review status changes into batches within Discord's limits,
+     * and in thread mode by script.
+     * @param {object[]} changes Review status changes
+     * @returns {Array<object[]>} Batches of review status changes
+     */
+    chunk(changes) {
+        if (!this._options.threads) {
+            return this._chunkEmbeds(changes);
+        }
+        // Each script's changes go to its own thread.
+        const scripts = new Map();
+        for (const change of changes) {
+            if (!scripts.has(change.title)) {
+                scripts.set(change.title, []);
+            }
+            scripts.get(change.title).push(change);
+        }
+        return [...scripts.values()].flatMap(this._chunkEmbeds, this);
+    }
+    /**
+     * Splits review status changes into batches within Discord's limits on
+     * the number of embeds and their total length in a single message.
+     * @param {object[]} changes Review status changes
+     * @returns {Array<object[]>} Batches of review status changes
+     * @private
+     */
+    _chunkEmbeds(changes) {
+        const batches = [];
+        let batch = [];
+        let length = 0;
+        for (const change of changes) {
+            if (change.message) {
+                // Edits replace a single embed of an existing message.
+                batches.push([change]);
+                continue;
+            }
+            const embedLength = this._getLength(this._embed(change));
+            if (
+                batch.length === MAX_EMBEDS ||
+                batch.length && length + embedLength > MAX_EMBED_CHARACTERS
+            ) {
+                batches.push(batch);
+                batch = [];
+                length = 0;
+            }
+            batch.push(change);
+            length += embedLength;
+        }
+        if (batch.length) {
+            batches.push(batch);
+        }
+        return batches;
+    }
+    /**
+     * Calculates the length of an embed as counted towards Discord's limit.
+     * @param {object} embed Discord embed
+     * @returns {number} Number of characters in the embed
+     * @private
+     */
+    _getLength(embed) {
+        return embed.title.length +
+            embed.description.length +
+            (embed.author ? embed.author.name.length : 0) +
+            (embed.fields || []).reduce(
+                (sum, field) => sum + field.name.length + field.value.length,
+                0
+            );
+    }
+    /**
+     * Formats a review status change as an embed.
+     * @param {object} change Review status change
+     * @returns {object} Discord embed
+     * @private
+     */
+    _embed(change) {
+        const [title, color] = getData(change);
+        const note = getNote(change);
+        const links = getLinks(this._wiki, change)
+            .map(({label, url}) => `[${label}](${url})`)
+            .join(' | ');
+        const embed = {
+            color,
+            description: note ? `${links}\n${note}` : links,
+            timestamp: new Date(change.timestamp || Date.now()),
+            title,
+            url: getRevisionUrl(this._wiki, change.rev)
+        };
+        embed.fields = [];
+        const reviewTime = getReviewTime(change);
+        if (reviewTime) {
+            embed.fields.push({
+                inline: true,
+                name: 'Time in review',
+                value: reviewTime
+            });
+        }
+        if (change.details) {
+            this._addDetails(embed, change.details);
+        }
+        if (change.diff) {
+            embed.fields.push(...this._diffFields(change.diff));
+        }
+        return embed;
+    }
+    /**
+     * Adds the submitter, reviewer and rejection reason of a change to its
+     * embed.
+     * @param {object} embed Discord embed
+     * @param {object} details Submitter, reviewer and reason of the change
+     * @private
+     */
+    _addDetails(embed, details) {
+        if (details.submitter) {
+            embed.author = {
+                name: details.submitter,
+                url: getUserUrl(this._wiki, details.submitter)
+            };
+        }
+        for (const {name, value} of getReviewFields(details)) {
+            embed.fields.push({
+                inline: name !== 'Reason',
+                name,
+                value: value.length > MAX_FIELD_LENGTH ?
+                    `${value.slice(0, MAX_FIELD_LENGTH - 1)}…` :
+                    value
+            });
+        }
+    }
+    /**
+     * Formats diff statistics and an excerpt of changed lines as embed
+     * fields.
+     * @param {object} diff Diff between the live and the new revision
+     * @returns {object[]} Discord embed fields
+     * @private
+     */
+    _diffFields(diff) {
+        const fields = [
+            {
+                inline: true,
+                name: 'Changes',
+                value: getDiffStats(diff)
+            }
+        ];
+        // Keep changed lines from closing the code block early.
+        const lines = diff.lines.map(line => line.replace(/```/gu, '`\u200b``'));
+        const excerpt = getExcerpt(
+            {
+                ...diff,
+                lines
+            },
+            MAX_FIELD_LENGTH - CODE_BLOCK_LENGTH
+        );
+        if (excerpt) {
+            fields.push({
+                name: 'Excerpt',
+                value: `\`\`\`diff\n${excerpt}\n\`\`\``
+            });
+        }
+        return fields;
+    }
+    /**
+     * Destroys the webhook client.
+     */
+    destroy() {
+        this._webhook.destroy();
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * index.js
+ *
+ * Creation of notifiers from configuration.
+ */
+
+/**
+ * Importing modules.
+ */
+import DiscordNotifier from './discord.js';
+import JSONNotifier from './json.js';
+import MatrixNotifier from './matrix.js';
+import SlackNotifier from './slack.js';
+
+/**
+ * Constants.
+ */
+const TYPES = {
+    discord: DiscordNotifier,
+    json: JSONNotifier,
+    matrix: MatrixNotifier,
+    slack: SlackNotifier
+};
+
+/**
+ * Creates a notifier from its configuration.
+ * @param {object} options Notifier configuration
+ * @param {string} wiki URL of the wiki the notifier reports changes on
+ * @returns {import('./notifier.js').default} Notifier
+ * @throws {Error} If the notifier type is unknown
+ */
+export function createNotifier(options, wiki) {
+    const NotifierClass = TYPES[options.type || 'discord'];
+    if (!NotifierClass) {
+        throw new Error(`Unknown notifier type: ${options.type}`);
+    }
+    return new NotifierClass(options, wiki);
+}
+
+/**
+ * Lists the configurations of all notifiers configured for a wiki.
+ * Wikis without a `notifiers` array post to the Discord webhook configured
+ * through their `id`, `token` and optional `thread` keys.
+ * @param {object} wikiConfig Configuration of the wiki
+ * @returns {object[]} Notifier configurations
+ */
+export function getNotifierConfigs(wikiConfig) {
+    if (Array.isArray(wikiConfig.notifiers)) {
+        return wikiConfig.notifiers;
+    }
+    return [
+        {
+            id: wikiConfig.id,
+            thread: wikiConfig.thread,
+            token: wikiConfig.token,
+            type: 'discord'
+        }
+    ];
+}
+
+/**
+ * Lists the configurations of copies of a wiki's Discord webhooks that post
+ * in a specific thread. Webhooks that create threads for each script are
+ * left out.
+ * @param {object} wikiConfig Configuration of the wiki
+ * @param {string} thread ID of the thread to post in
+ * @returns {object[]} Notifier configurations
+ */
+export function getThreadConfigs(wikiConfig, thread) {
+    return getNotifierConfigs(wikiConfig)
+        .filter(options => (options.type || 'discord') === 'discord' &&
+            !options.threads)
+        .map(options => ({
+            ...options,
+            thread
+        }));
+}
+
+/**
+ * Creates all notifiers configured for a wiki.
+ * @param {object} wikiConfig Configuration of the wiki
+ * @param {string} wiki URL of the wiki
+ * @returns {import('./notifier.js').default[]} Notifiers
+ */
+export function createNotifiers(wikiConfig, wiki) {
+    return getNotifierConfigs(wikiConfig)
+        .map(options => createNotifier(options, wiki));
+}
+
+/**
+ * Sends a post through a notifier, logging any errors.
+ * @param {import('./notifier.js').default} notifier Notifier to send the
+ * post through
+ * @param {string} method Notifier method sending the post
+ * @param {object} post Post to send
+ * @param {string} description Description of the post for error messages
+ */
+async function sendPost(notifier, method, post, description) {
+    try {
+        await notifier[method](post);
+    } catch (error) {
+        console.error(
+            `Error while sending ${description} to ${notifier.constructor.name}:`,
+            error
+        );
+    }
+}
+
+/**
+ * Sends a post, such as an alert or a digest, through several notifiers.
+ * Errors of each notifier are logged instead of failing the others.
+ * @param {import('./notifier.js').default[]} notifiers Notifiers to send
+ * the post through
+ * @param {string} method Notifier method sending the post, such as
+ * `sendAlert`
+ * @param {object} post Post to send
+ * @param {string} description Description of the post for error messages,
+ * such as "an alert"
+ */
+export async function broadcast(notifiers, method, post, description) {
+    await Promise.all(notifiers.map(
+        notifier => sendPost(notifier, method, post, description)
+    ));
+}
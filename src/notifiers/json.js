@@ -0,0 +1,73 @@
+/**
+ * json.js
+ *
+ * Notifier posting plain JSON to an arbitrary webhook.
+ */
+
+/**
+ * Importing modules.
+ */
+import {getData, getDigestTitle, getLinks, getNote} from '../format.js';
+import Notifier from './notifier.js';
+
+/**
+ * Posts review status changes as a JSON document.
+ * @augments Notifier
+ */
+export default class JSONNotifier extends Notifier {
+    /**
+     * Posts review status changes to the configured URL.
+     * @param {object[]} changes Review status changes
+     */
+    async send(changes) {
+        await this._http.post(this._options.url, {
+            headers: this._options.headers,
+            json: this.preview(changes)
+        });
+    }
+    /**
+     * Returns the document review status changes would be posted as.
+     * @param {object[]} changes Review status changes
+     * @returns {object} JSON document
+     */
+    preview(changes) {
+        return {
+            changes: changes.map(change => ({
+                ...change,
+                description: getData(change)[0],
+                links: getLinks(this._wiki, change),
+                note: getNote(change)
+            })),
+            wiki: this._wiki
+        };
+    }
+    /**
+     * Posts an alert to the configured URL.
+     * @param {object} alert Alert with a `title`, `description` and `color`
+     */
+    async sendAlert(alert) {
+        await this._http.post(this._options.url, {
+            headers: this._options.headers,
+            json: {
+                alert,
+                wiki: this._wiki
+            }
+        });
+    }
+    /**
+     * Posts a digest of revisions awaiting review to the configured URL.
+     * @param {object} digest Digest of the review queue
+     */
+    async sendDigest(digest) {
+        await this._http.post(this._options.url, {
+            headers: this._options.headers,
+            json: {
+                digest: {
+                    ...digest,
+                    title: getDigestTitle(digest)
+                },
+                wiki: this._wiki
+            }
+        });
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * matrix.js
+ *
+ * Notifier sending messages to a Matrix room.
+ */
+
+/**
+ * Importing modules.
+ */
+import {
+    getData,
+    getDiffStats,
+    getDigestTitle,
+    getLinks,
+    getNote,
+    getReviewFields,
+    getWaitingTime
+} from '../format.js';
+import Notifier from './notifier.js';
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escape(text) {
+    return text
+        .replace(/&/gu, '&amp;')
+        .replace(/</gu, '&lt;')
+        .replace(/>/gu, '&gt;')
+        .replace(/"/gu, '&quot;');
+}
+
+/**
+ * Sends review status changes as notices to a Matrix room.
+ * @augments Notifier
+ */
+export default class MatrixNotifier extends Notifier {
+    /**
+     * Class constructor.
+     * @param {object} options Homeserver URL, room ID and access token
+     * @param {string} wiki URL of the wiki the notifier reports changes on
+     */
+    constructor(options, wiki) {
+        super(options, wiki);
+        this._transaction = 0;
+    }
+    /**
+     * Sends review status changes to the room.
+     * @param {object[]} changes Review status changes
+     */
+    async send(changes) {
+        const {body, html} = this.preview(changes);
+        await this._sendNotice(body, html);
+    }
+    /**
+     * Returns the notice review status changes would be sent in.
+     * @param {object[]} changes Review status changes
+     * @returns {object} Plain text `body` and `html` of the notice
+     */
+    preview(changes) {
+        return {
+            body: changes.map(this._text, this).join('\n'),
+            html: changes.map(this._html, this).join('<br>')
+        };
+    }
+    /**
+     * Sends an alert to the room.
+     * @param {object} alert Alert with a `title`, `description` and `color`
+     */
+    async sendAlert(alert) {
+        await this._sendNotice(
+            `${alert.title}: ${alert.description}`,
+            `<b>${escape(alert.title)}</b>: ${escape(alert.description)}`
+        );
+    }
+    /**
+     * Sends a digest of revisions awaiting review to the room, with overdue
+     * revisions highlighted.
+     * @param {object} digest Digest of the review queue
+     */
+    async sendDigest(digest) {
+        const title = getDigestTitle(digest);
+        await this._sendNotice(
+            [
+                `${title}:`,
+                ...digest.entries.map(this._digestText, this)
+            ].join('\n'),
+            `<b>${escape(title)}</b><ul>${digest.entries.map(this._digestHtml, this).join('')}</ul>`
+        );
+    }
+    /**
+     * Formats an entry of a review queue digest as plain text.
+     * @param {object} entry Entry of the digest
+     * @returns {string} Plain text line describing the entry
+     * @private
+     */
+    _digestText(entry) {
+        const [page, diff] = entry.links;
+        const line = `${page.label} — ${getWaitingTime(entry)} (${diff.label}: ${diff.url})`;
+        return entry.overdue ? `⚠️ ${line}` : line;
+    }
+    /**
+     * Formats an entry of a review queue digest as HTML.
+     * @param {object} entry Entry of the digest
+     * @returns {string} HTML list item describing the entry
+     * @private
+     */
+    _digestHtml(entry) {
+        const [page, diff] = entry.links;
+        const line = `<a href="${escape(page.url)}">${escape(page.label)}</a> — ${getWaitingTime(entry)} (<a href="${escape(diff.url)}">${escape(diff.label)}</a>)`;
+        return `<li>${entry.overdue ? `⚠️ <b>${line}</b>` : line}</li>`;
+    }
+    /**
+     * Sends a notice to the room.
+     * @param {string} body Plain text content of the notice
+     * @param {string} html HTML content of the notice
+     * @private
+     */
+    async _sendNotice(body, html) {
+        const {homeserver, room, token} = this._options;
+        const txn = `${Date.now()}-${this._transaction++}`;
+        const url = `${homeserver.replace(/\/$/u, '')}/_matrix/client/v3/rooms/${encodeURIComponent(room)}/send/m.room.message/${txn}`;
+        await this._http.put(url, {
+            headers: {
+                Authorization: `Bearer ${token}`
+            },
+            json: {
+                body,
+                format: 'org.matrix.custom.html',
+                formatted_body: html,
+                msgtype: 'm.notice'
+            }
+        });
+    }
+    /**
+     * Formats a review status change as plain text.
+     * @param {object} change Review status change
+     * @returns {string} Plain text line describing the change
+     * @private
+     */
+    _text(change) {
+        const links = getLinks(this._wiki, change)
+            .map(({label, url}) => `${label}: ${url}`)
+            .join(' | ');
+        const note = getNote(change);
+        const stats = change.diff ? `, ${getDiffStats(change.diff)}` : '';
+        return `${getData(change)[0]}: ${links}${note ? ` (${note})` : ''}${stats}${this._details(change)}`;
+    }
+    /**
+     * Formats a review status change as HTML.
+     * @param {object} change Review status change
+     * @returns {string} HTML line describing the change
+     * @private
+     */
+    _html(change) {
+        const links = getLinks(this._wiki, change)
+            .map(({label, url}) => `<a href="${escape(url)}">${escape(label)}</a>`)
+            .join(' | ');
+        const note = getNote(change);
+        const stats = change.diff ? `, ${getDiffStats(change.diff)}` : '';
+        return `<b>${getData(change)[0]}</b>: ${links}${note ? ` (${escape(note)})` : ''}${stats}${escape(this._details(change))}`;
+    }
+    /**
+     * Formats the submitter, reviewer and rejection reason of a change.
+     * @param {object} change Review status change
+     * @returns {string} Plain text details, if there are any
+     * @private
+     */
+    _details(change) {
+        if (!change.details) {
+            return '';
+        }
+        const parts = getReviewFields(change.details)
+            .map(({name, value}) => `${name}: ${value}`);
+        if (change.details.submitter) {
+            parts.unshift(`Submitter: ${change.details.submitter}`);
+        }
+        return parts.length ? ` (${parts.join(', ')})` : '';
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * notifier.js
+ *
+ * Base class for notifier backends.
+ */
+
+/**
+ * Importing modules.
+ */
+import got from 'got';
+import pkg from '../../package.json' with {type: 'json'};
+
+/**
+ * Constants.
+ */
+const http = got.extend({
+    headers: {
+        'User-Agent': `${pkg.name} v${pkg.version}`
+    }
+});
+
+/**
+ * Base class for services that review status changes are relayed to.
+ * @abstract
+ */
+export default class Notifier {
+    /**
+     * Class constructor.
+     * @param {object} options Notifier configuration
+     * @param {string} wiki URL of the wiki the notifier reports changes on
+     */
+    constructor(options, wiki) {
+        this._options = options;
+        this._wiki = wiki;
+        this._http = http;
+    }
+    /**
+     * Sends review status changes to the service.
+     * Notifiers that can edit their messages resolve to the `messages` they
+     * posted, so changes to the same revision can be edited into them.
+     * @abstract
+     * @param {object[]} _changes Review status changes
+     * @throws {Error} If the notifier does not implement sending
+     */
+    send(_changes) {
+        throw new Error(`${this.constructor.name} does not implement send()`);
+    }
+    /**
+     * Returns what would be sent to the service for review status changes,
+     * without sending it.
+     * @abstract
+     * @param {object[]} _changes Review status changes
+     * @throws {Error} If the notifier does not implement previews
+     */
+    preview(_changes) {
+        throw new Error(`${this.constructor.name} does not implement preview()`);
+    }
+    /**
+     * Sends an operational alert, such as a polling failure, or a scheduled
+     * report to the service.
+     * @abstract
+     * @param {object} _alert Alert with a `title`, `description` and `color`
+     * @throws {Error} If the notifier does not implement sending alerts
+     */
+    sendAlert(_alert) {
+        throw new Error(`${this.constructor.name} does not implement sendAlert()`);
+    }
+    /**
+     * Sends a digest of revisions awaiting review to the service.
+     * @abstract
+     * @param {object} _digest Digest with the awaiting `entries`, each with
+     * its `title`, `links`, `waiting` time and whether it is `overdue`
+     * @throws {Error} If the notifier does not implement sending digests
+     */
+    sendDigest(_digest) {
+        throw new Error(`${this.constructor.name} does not implement sendDigest()`);
+    }
+    /**
+     * Splits review status changes into batches that can each be sent as a
+     * single message.
+     * @param {object[]} changes Review status changes
+     * @returns {Array<object[]>} Batches of review status changes
+     */
+    chunk(changes) {
+        return [changes];
+    }
+    /**
+     * Cleans up resources used by the notifier.
+     */
+    destroy() {
+        // Most notifiers have nothing to clean up.
+    }
+}
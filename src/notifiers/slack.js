@@ -0,0 +1,168 @@
+/**
+ * slack.js
+ *
+ * Notifier posting messages through a Slack incoming webhook.
+ */
+
+/**
+ * Importing modules.
+ */
+import {
+    DATA,
+    getData,
+    getDiffStats,
+    getDigestTitle,
+    getExcerpt,
+    getLinks,
+    getNote,
+    getReviewFields,
+    getRevisionUrl,
+    getUserUrl,
+    getWaitingTime
+} from '../format.js';
+import Notifier from './notifier.js';
+
+/**
+ * Constants.
+ */
+const MAX_EXCERPT_LENGTH = 1000;
+
+/**
+ * Escapes the characters Slack treats as control characters in message
+ * text, so they are not parsed as links or mentions.
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escape(text) {
+    return text
+        .replace(/&/gu, '&amp;')
+        .replace(/</gu, '&lt;')
+        .replace(/>/gu, '&gt;');
+}
+
+/**
+ * Posts review status changes as Slack message attachments.
+ * @augments Notifier
+ */
+export default class SlackNotifier extends Notifier {
+    /**
+     * Posts review status changes to the incoming webhook.
+     * @param {object[]} changes Review status changes
+     */
+    async send(changes) {
+        await this._http.post(this._options.url, {
+            json: this.preview(changes)
+        });
+    }
+    /**
+     * Returns the message review status changes would be posted in.
+     * @param {object[]} changes Review status changes
+     * @returns {object} Slack message
+     */
+    preview(changes) {
+        return {
+            attachments: changes.map(this._attachment, this),
+            text: `Content review updates on ${this._wiki}`
+        };
+    }
+    /**
+     * Posts an alert to the incoming webhook.
+     * @param {object} alert Alert with a `title`, `description` and `color`
+     */
+    async sendAlert(alert) {
+        const {title, description, color} = alert;
+        await this._http.post(this._options.url, {
+            json: {
+                attachments: [
+                    {
+                        color: `#${color.toString(16).padStart(6, '0')}`,
+                        text: escape(description),
+                        title
+                    }
+                ],
+                text: escape(title)
+            }
+        });
+    }
+    /**
+     * Posts a digest of revisions awaiting review to the incoming webhook,
+     * with overdue revisions highlighted.
+     * @param {object} digest Digest of the review queue
+     */
+    async sendDigest(digest) {
+        const title = getDigestTitle(digest);
+        const lines = digest.entries.map(this._digestLine, this);
+        await this._http.post(this._options.url, {
+            json: {
+                attachments: [
+                    {
+                        color: `#${DATA.awaiting[1].toString(16).padStart(6, '0')}`,
+                        text: lines.join('\n'),
+                        title
+                    }
+                ],
+                text: escape(title)
+            }
+        });
+    }
+    /**
+     * Formats an entry of a review queue digest.
+     * @param {object} entry Entry of the digest
+     * @returns {string} Line describing the entry
+     * @private
+     */
+    _digestLine(entry) {
+        const [page, diff] = entry.links;
+        const line = `<${page.url}|${escape(page.label)}> — ${getWaitingTime(entry)} (<${diff.url}|${escape(diff.label)}>)`;
+        return entry.overdue ? `:warning: *${line}*` : line;
+    }
+    /**
+     * Formats a review status change as a message attachment.
+     * @param {object} change Review status change
+     * @returns {object} Slack message attachment
+     * @private
+     */
+    _attachment(change) {
+        const [title, color] = getData(change);
+        const note = getNote(change);
+        const links = getLinks(this._wiki, change)
+            .map(({label, url}) => `<${url}|${escape(label)}>`)
+            .join(' | ');
+        const attachment = {
+            color: `#${color.toString(16).padStart(6, '0')}`,
+            text: note ? `${links}\n${escape(note)}` : links,
+            title,
+            title_link: getRevisionUrl(this._wiki, change.rev),
+            ts: Math.floor((change.timestamp || Date.now()) / 1000)
+        };
+        attachment.fields = [];
+        if (change.details) {
+            const {submitter} = change.details;
+            if (submitter) {
+                attachment.author_name = submitter;
+                attachment.author_link = getUserUrl(this._wiki, submitter);
+            }
+            attachment.fields.push(...getReviewFields(change.details)
+                .map(({name, value}) => ({
+                    short: name !== 'Reason',
+                    title: name,
+                    value: escape(value)
+                })));
+        }
+        if (change.diff) {
+            attachment.fields.push({
+                short: true,
+                title: 'Changes',
+                value: getDiffStats(change.diff)
+            });
+            const excerpt = getExcerpt(change.diff, MAX_EXCERPT_LENGTH);
+            if (excerpt) {
+                attachment.fields.push({
+                    title: 'Excerpt',
+                    value: `\`\`\`${escape(excerpt)}\`\`\``
+                });
+            }
+        }
+        return attachment;
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * outbox.js
+ *
+ * Persisted queue of notifications waiting to be delivered.
+ */
+
+/**
+ * Importing modules.
+ */
+import AtomicFile from './atomic-file.js';
+
+/**
+ * Constants.
+ */
+const BASE_DELAY = 5000;
+const MAX_DELAY = 10 * 60 * 1000;
+
+/**
+ * Queue of outgoing notifications that is persisted to disk, so undelivered
+ * notifications survive restarts. Failed deliveries are retried with
+ * exponential backoff, and notifications are only removed from the queue
+ * once delivered.
+ */
+export default class Outbox {
+    /**
+     * Class constructor.
+     * @param {string} path Path to the file the queue is persisted in
+     * @param {Function} onDelivered Called with the notifier key, delivered
+     * changes and the notifier's result after each delivery
+     * @param {boolean} dryRun Whether to print notifications to standard
+     * output instead of queueing and delivering them
+     */
+    constructor(path, onDelivered, dryRun = false) {
+        this._file = new AtomicFile(path);
+        this._onDelivered = onDelivered;
+        this._dryRun = dryRun;
+        this._entries = [];
+        this._notifiers = new Map();
+        this._flushing = false;
+        this._pending = false;
+    }
+    /**
+     * Registers a notifier notifications can be queued for.
+     * @param {string} key Key identifying the notifier across restarts
+     * @param {import('./notifiers/notifier.js').default} notifier Notifier
+     */
+    register(key, notifier) {
+        this._notifiers.set(key, notifier);
+    }
+    /**
+     * Loads notifications left undelivered by a previous run and starts
+     * delivering them. Dry runs leave them for the next real run.
+     */
+    async load() {
+        if (this._dryRun) {
+            return;
+        }
+        this._entries = await this._read();
+        if (this._entries.length) {
+            console.info(`Retrying ${this._entries.length} undelivered notifications.`);
+        }
+        await this.flush();
+    }
+    /**
+     * Queues review status changes for delivery through a notifier, split
+     * into messages the notifier's service accepts.
+     * @param {string} key Key of the notifier to deliver the changes through
+     * @param {object[]} changes Review status changes
+     */
+    async enqueue(key, changes) {
+        const notifier = this._notifiers.get(key);
+        for (const batch of notifier.chunk(changes)) {
+            if (this._dryRun) {
+                this._print(key, notifier, batch);
+                continue;
+            }
+            this._entries.push({
+                attempts: 0,
+                changes: batch,
+                key,
+                next: 0
+            });
+        }
+        if (!this._dryRun) {
+            await this._save();
+            await this.flush();
+        }
+    }
+    /**
+     * Queues an alert, such as a summary, for delivery through a notifier.
+     * @param {string} key Key of the notifier to deliver the alert through
+     * @param {object} alert Alert with a `title`, `description` and `color`
+     */
+    async enqueueAlert(key, alert) {
+        if (this._dryRun) {
+            const notifier = this._notifiers.get(key);
+            console.info(`[dry run] ${notifier.constructor.name} ${key} alert:`);
+            console.info(JSON.stringify(alert, null, '    '));
+            return;
+        }
+        this._entries.push({
+            alert,
+            attempts: 0,
+            key,
+            next: 0
+        });
+        await this._save();
+        await this.flush();
+    }
+    /**
+     * Prints what a notifier would send for a notification.
+     * @param {string} key Key of the notifier
+     * @param {import('./notifiers/notifier.js').default} notifier Notifier
+     * the notification would be delivered through
+     * @param {object[]} changes Review status changes in the notification
+     * @private
+     */
+    _print(key, notifier, changes) {
+        console.info(`[dry run] ${notifier.constructor.name} ${key}:`);
+        console.info(JSON.stringify(notifier.preview(changes), null, '    '));
+    }
+    /**
+     * Delivers all queued notifications that are due.
+     * Notifications for the same notifier are delivered in order, so a
+     * failed notification holds back the ones queued after it.
+     */
+    async flush() {
+        if (this._flushing) {
+            this._pending = true;
+            return;
+        }
+        this._flushing = true;
+        clearTimeout(this._timer);
+        try {
+            do {
+                this._pending = false;
+                await this._deliverDue();
+            } while (this._pending);
+        } finally {
+            this._flushing = false;
+            this._schedule();
+        }
+    }
+    /**
+     * Attempts to deliver every queued notification that is due.
+     * @private
+     */
+    async _deliverDue() {
+        const blocked = new Set();
+        let changed = false;
+        for (const entry of [...this._entries]) {
+            const notifier = this._notifiers.get(entry.key);
+            if (!notifier) {
+                console.warn(`Dropping notification for unknown notifier ${entry.key}.`);
+                this._remove(entry);
+                changed = true;
+            } else if (!blocked.has(entry.key) && entry.next <= Date.now()) {
+                if (await this._deliver(notifier, entry)) {
+                    this._remove(entry);
+                } else {
+                    blocked.add(entry.key);
+                }
+                changed = true;
+            } else {
+                blocked.add(entry.key);
+            }
+        }
+        if (changed) {
+            await this._save();
+        }
+    }
+    /**
+     * Attempts to deliver a queued notification, which is either a batch of
+     * changes or an alert.
+     * @param {import('./notifiers/notifier.js').default} notifier Notifier
+     * to deliver the notification through
+     * @param {object} entry Queued notification
+     * @returns {Promise<boolean>} Whether the notification can be removed
+     * from the queue
+     * @private
+     */
+    async _deliver(notifier, entry) {
+        try {
+            if (entry.alert) {
+                await notifier.sendAlert(entry.alert);
+                return true;
+            }
+            const result = await notifier.send(entry.changes);
+            if (this._onDelivered) {
+                this._onDelivered(entry.key, entry.changes, result);
+            }
+            return true;
+        } catch (error) {
+            const status = this._getStatus(error);
+            if (status >= 400 && status < 500 && status !== 429) {
+                console.error(
+                    `${notifier.constructor.name} rejected a notification, dropping it:`,
+                    error
+                );
+                return true;
+            }
+            entry.next = Date.now() + this._getDelay(error, ++entry.attempts);
+            console.error(
+                `Error while posting to ${notifier.constructor.name} (attempt ${entry.attempts}), retrying later:`,
+                error
+            );
+            return false;
+        }
+    }
+    /**
+     * Extracts the HTTP status code from a delivery error.
+     * @param {Error} error Delivery error
+     * @returns {number|undefined} HTTP status code, if the error has one
+     * @private
+     */
+    _getStatus(error) {
+        if (error.response) {
+            return error.response.statusCode;
+        }
+        return error.status;
+    }
+    /**
+     * Determines how long to wait before retrying a failed delivery.
+     * Rate limit responses are retried once the service allows it, other
+     * errors back off exponentially.
+     * @param {Error} error Delivery error
+     * @param {number} attempts Number of failed delivery attempts
+     * @returns {number} Delay in milliseconds
+     * @private
+     */
+    _getDelay(error, attempts) {
+        if (typeof error.retryAfter === 'number') {
+            return error.retryAfter;
+        }
+        const retryAfter = error.response &&
+            Number(error.response.headers['retry-after']);
+        if (retryAfter) {
+            return retryAfter * 1000;
+        }
+        return Math.min(BASE_DELAY * 2 ** (attempts - 1), MAX_DELAY);
+    }
+    /**
+     * Removes a notification from the queue.
+     * @param {object} entry Queued notification
+     * @private
+     */
+    _remove(entry) {
+        this._entries.splice(this._entries.indexOf(entry), 1);
+    }
+    /**
+     * Schedules the next delivery attempt for the earliest queued
+     * notification.
+     * @private
+     */
+    _schedule() {
+        if (this._entries.length === 0 || this._destroyed) {
+            return;
+        }
+        const next = Math.min(...this._entries.map(entry => entry.next));
+        this._timer = setTimeout(
+            this.flush.bind(this),
+            Math.max(next - Date.now(), 0)
+        );
+    }
+    /**
+     * Reads the queue persisted by a previous run. A queue that cannot be
+     * read is moved aside, and its notifications are not delivered.
+     * @returns {Promise<object[]>} Queued notifications
+     * @private
+     */
+    async _read() {
+        const text = await this._file.read();
+        if (text === null) {
+            return [];
+        }
+        try {
+            const entries = JSON.parse(text);
+            if (Array.isArray(entries)) {
+                return entries;
+            }
+        } catch {
+            // Handled below, like other content that is not a queue.
+        }
+        const path = await this._file.moveAside();
+        console.warn(`${this._file.path} could not be read and was moved to ${path}, its notifications will not be delivered.`);
+        return [];
+    }
+    /**
+     * Persists the queue to disk.
+     * @private
+     */
+    async _save() {
+        await this._file.write(JSON.stringify(this._entries));
+    }
+    /**
+     * Stops scheduled delivery attempts.
+     */
+    destroy() {
+        this._destroyed = true;
+        clearTimeout(this._timer);
+    }
+}
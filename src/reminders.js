@@ -0,0 +1,80 @@
+/**
+ * reminders.js
+ *
+ * Reminders about revisions waiting for review for too long.
+ */
+
+/**
+ * Decides when revisions that have been awaiting review for too long
+ * should be brought up again.
+ * A reminder is posted once a revision's wait exceeds each configured
+ * threshold. When several thresholds were exceeded since the last check,
+ * such as after downtime, only a single reminder is posted for the highest
+ * of them. Reminders stop once the revision's status changes.
+ */
+export default class Reminders {
+    /**
+     * Class constructor.
+     * @param {object} options Reminder configuration, with thresholds in
+     * milliseconds `after` which to remind and `roles` to mention
+     */
+    constructor(options = {}) {
+        this._thresholds = [options.after || []]
+            .flat()
+            .sort((a, b) => a - b);
+        this._roles = [options.roles || []].flat();
+    }
+    /**
+     * Finds revisions whose wait exceeded a threshold they were not
+     * reminded about yet, and marks them as reminded.
+     * @param {object} data Map of page titles to their cached review state
+     * @returns {object[]} Reminders to be passed on to the notifiers
+     */
+    check(data) {
+        const now = Date.now();
+        const reminders = [];
+        if (this._thresholds.length === 0) {
+            return reminders;
+        }
+        for (const page of Object.values(data)) {
+            if (page.status !== 'awaiting' || !page.awaitingSince) {
+                continue;
+            }
+            const waiting = now - page.awaitingSince;
+            const level = this._thresholds
+                .filter(threshold => waiting >= threshold)
+                .length;
+            if (level > (page.reminded || 0)) {
+                page.reminded = level;
+                reminders.push(this._getReminder(page, level, now));
+            }
+        }
+        return reminders;
+    }
+    /**
+     * Creates a reminder to be passed on to the notifiers.
+     * @param {object} page Cached review state of the page
+     * @param {number} level Number of thresholds the wait exceeded
+     * @param {number} now Current time
+     * @returns {object} Reminder about the page
+     * @private
+     */
+    _getReminder(page, level, now) {
+        const {awaitingSince, liveRev, rev, status, title} = page;
+        const reminder = {
+            awaitingSince,
+            level,
+            levels: this._thresholds.length,
+            liveRev,
+            rev,
+            status,
+            timestamp: now,
+            title,
+            type: 'reminder'
+        };
+        if (this._roles.length) {
+            reminder.roles = this._roles;
+        }
+        return reminder;
+    }
+}
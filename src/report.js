@@ -0,0 +1,75 @@
+/**
+ * report.js
+ *
+ * Scheduled summaries of review turnaround statistics.
+ */
+
+/**
+ * Importing modules.
+ */
+import {formatStats, getReviewStats} from './stats.js';
+import Schedule from './schedule.js';
+import {broadcast} from './notifiers/index.js';
+
+/**
+ * Constants.
+ */
+const DEFAULT_SCHEDULE = '0 9 * * 1';
+const PERIOD = 7 * 24 * 60 * 60 * 1000;
+const COLOR = 0x3498DB;
+
+/**
+ * Posts a summary of the past week's review turnaround to a wiki's
+ * notifiers on a schedule.
+ */
+export default class Report {
+    /**
+     * Class constructor.
+     * @param {object} wiki Wiki state the report is about
+     * @param {import('./history.js').default} history History the
+     * statistics are computed from
+     * @param {string|boolean} schedule Cron expression of when to post the
+     * report, or `true` for Mondays at 9:00
+     */
+    constructor(wiki, history, schedule) {
+        this._wiki = wiki;
+        this._history = history;
+        this._schedule = new Schedule(
+            schedule === true ? DEFAULT_SCHEDULE : schedule,
+            this.send.bind(this)
+        );
+    }
+    /**
+     * Starts posting the report on schedule.
+     */
+    start() {
+        this._schedule.start();
+    }
+    /**
+     * Stops posting the report.
+     */
+    stop() {
+        this._schedule.stop();
+    }
+    /**
+     * Computes the statistics of the past week and posts them.
+     */
+    async send() {
+        const until = new Date();
+        const since = new Date(until - PERIOD);
+        const entries = await this._history.query({
+            until,
+            wiki: this._wiki.url
+        });
+        const stats = getReviewStats(entries, {
+            since,
+            until
+        });
+        const summary = {
+            color: COLOR,
+            description: formatStats(stats).join('\n'),
+            title: 'Weekly review report'
+        };
+        await broadcast(this._wiki.notifiers, 'sendAlert', summary, 'a report');
+    }
+}
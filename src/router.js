@@ -0,0 +1,119 @@
+/**
+ * router.js
+ *
+ * Filtering and routing of changes to notifiers based on configured rules.
+ */
+
+/**
+ * Constants.
+ */
+const REGEX_RULE = /^\/(.*)\/([a-z]*)$/u;
+
+/**
+ * Converts a title pattern from the configuration into a regular
+ * expression. Patterns wrapped in slashes are regular expressions, and
+ * other patterns are globs where `*` matches any text and `?` matches a
+ * single character. The `g` and `y` flags are ignored, as they would make
+ * matches depend on earlier ones.
+ * @param {string} pattern Title pattern
+ * @returns {RegExp} Regular expression matching the pattern
+ */
+export function compilePattern(pattern) {
+    const regex = REGEX_RULE.exec(pattern);
+    if (regex) {
+        return new RegExp(regex[1], regex[2].replace(/[gy]/gu, ''));
+    }
+    const source = pattern
+        .replace(/[.+^${}()|[\]\\]/gu, '\\$&')
+        .replace(/\*/gu, '.*')
+        .replace(/\?/gu, '.');
+    return new RegExp(`^${source}$`, 'u');
+}
+
+/**
+ * Converts a configuration value that may be a single item or a list of
+ * items into a list.
+ * @param {*} value Configuration value
+ * @returns {Array} List of items, empty if the value is not set
+ */
+function toList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Decides which notifiers each change is delivered to.
+ * Every rule whose conditions match a change is applied in order. A rule
+ * can drop the change, route it to its own notifiers instead of the wiki's
+ * default ones, or add role mentions to it.
+ */
+export default class Router {
+    /**
+     * Class constructor.
+     * @param {object[]} rules Rules from the configuration, with `keys` of
+     * the outbox notifiers they route to
+     * @param {string[]} defaultKeys Keys of the outbox notifiers changes are
+     * delivered to when no rule routes them elsewhere
+     */
+    constructor(rules, defaultKeys) {
+        this._defaultKeys = defaultKeys;
+        this._rules = rules.map(rule => ({
+            drop: Boolean(rule.drop),
+            keys: rule.keys,
+            roles: toList(rule.roles),
+            statuses: toList(rule.status),
+            titles: toList(rule.title).map(compilePattern),
+            types: toList(rule.type)
+        }));
+    }
+    /**
+     * Applies the rules to a change.
+     * @param {object} change Review status change
+     * @returns {object} Whether to `drop` the change, and otherwise `keys`
+     * of outbox notifiers to deliver it to and `roles` to mention
+     */
+    route(change) {
+        const keys = [];
+        const roles = [];
+        for (const rule of this._rules) {
+            if (!this._matches(rule, change)) {
+                continue;
+            }
+            if (rule.drop) {
+                return {
+                    drop: true,
+                    keys: [],
+                    roles: []
+                };
+            }
+            keys.push(...rule.keys);
+            roles.push(...rule.roles);
+        }
+        return {
+            drop: false,
+            keys: keys.length ? [...new Set(keys)] : this._defaultKeys,
+            roles: [...new Set(roles)]
+        };
+    }
+    /**
+     * Checks whether a rule's conditions match a change.
+     * @param {object} rule Compiled rule
+     * @param {object} change Review status change
+     * @returns {boolean} Whether the rule applies to the change
+     * @private
+     */
+    _matches(rule, change) {
+        return (
+            rule.titles.length === 0 ||
+            rule.titles.some(title => title.test(change.title))
+        ) && (
+            rule.statuses.length === 0 ||
+            rule.statuses.includes(change.status)
+        ) && (
+            rule.types.length === 0 ||
+            rule.types.includes(change.type)
+        );
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * schedule.js
+ *
+ * Tasks run at times described by cron expressions.
+ */
+
+/**
+ * Constants.
+ */
+const FIELDS = [
+    ['minute', 0, 59],
+    ['hour', 0, 23],
+    ['day', 1, 31],
+    ['month', 1, 12],
+    ['weekday', 0, 7]
+];
+const ALIASES = {
+    '@daily': '0 0 * * *',
+    '@hourly': '0 * * * *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0'
+};
+// Limit of setTimeout, longer delays are waited out in several steps.
+const MAX_TIMEOUT = 2 ** 31 - 1;
+// Matching expressions match within eight years, even on February 29th.
+const MAX_SEARCH = 8 * 366 * 24 * 60;
+
+/**
+ * Parses one field of a cron expression.
+ * @param {string} field Field of the expression
+ * @param {Array} definition Name, minimum and maximum value of the field
+ * @returns {Set<number>} Values the field matches
+ * @throws {Error} If the field is invalid
+ */
+function parseField(field, definition) {
+    const [name, min, max] = definition;
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const match = (/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/u).exec(part);
+        if (!match) {
+            throw new Error(`Invalid ${name} in cron expression: ${part}`);
+        }
+        const start = match[1] === '*' ? min : Number(match[2]);
+        const end = match[1] === '*' || match[4] && !match[3] ?
+            max :
+            Number(match[3] ?? match[2]);
+        const step = Number(match[4] || 1);
+        if (start < min || end > max || start > end || step === 0) {
+            throw new Error(`Invalid ${name} in cron expression: ${part}`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Runs a task at times described by a cron expression, in local time.
+ * Expressions have the standard five fields (minute, hour, day of month,
+ * month and day of week), each of which can be `*`, a number, a range or a
+ * list of these, optionally with a `/step`. When both the day of month and
+ * the day of week are restricted, either of them matching is enough.
+ */
+export default class Schedule {
+    /**
+     * Class constructor.
+     * @param {string} expression Cron expression
+     * @param {Function} task Task to run, may return a promise
+     * @throws {Error} If the cron expression is invalid
+     */
+    constructor(expression, task) {
+        const fields = (ALIASES[expression] || expression).trim().split(/\s+/u);
+        if (fields.length !== FIELDS.length) {
+            throw new Error(`Cron expression must have five fields: ${expression}`);
+        }
+        const [minutes, hours, days, months, weekdays] = fields
+            .map((field, index) => parseField(field, FIELDS[index]));
+        if (weekdays.has(7)) {
+            weekdays.add(0);
+        }
+        this._minutes = minutes;
+        this._hours = hours;
+        this._days = days;
+        this._months = months;
+        this._weekdays = weekdays;
+        this._anyDay = fields[2] === '*';
+        this._anyWeekday = fields[4] === '*';
+        this._task = task;
+        this._timer = null;
+        this._running = false;
+    }
+    /**
+     * Returns the next time the schedule matches.
+     * @param {Date} from Time after which to look
+     * @returns {Date} Next matching time
+     * @throws {Error} If the expression can never match, such as on the
+     * 31st of February
+     */
+    next(from = new Date()) {
+        const date = new Date(from);
+        date.setSeconds(0, 0);
+        for (let i = 0; i < MAX_SEARCH; ++i) {
+            date.setMinutes(date.getMinutes() + 1);
+            if (!this._months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, -1);
+            } else if (!this._matchesDay(date)) {
+                date.setHours(24, -1);
+            } else if (!this._hours.has(date.getHours())) {
+                date.setMinutes(59);
+            } else if (this._minutes.has(date.getMinutes())) {
+                return date;
+            }
+        }
+        throw new Error('Cron expression never matches');
+    }
+    /**
+     * Starts running the task on schedule.
+     */
+    start() {
+        this._running = true;
+        this._arm(this.next().getTime());
+    }
+    /**
+     * Stops running the task.
+     */
+    stop() {
+        this._running = false;
+        clearTimeout(this._timer);
+    }
+    /**
+     * Checks whether the day of a date matches the schedule.
+     * @param {Date} date Date to check
+     * @returns {boolean} Whether the task can run on that day
+     * @private
+     */
+    _matchesDay(date) {
+        const day = this._days.has(date.getDate());
+        const weekday = this._weekdays.has(date.getDay());
+        if (this._anyDay || this._anyWeekday) {
+            return day && weekday;
+        }
+        return day || weekday;
+    }
+    /**
+     * Sets a timer for the next run of the task.
+     * @param {number} time Time of the next run
+     * @private
+     */
+    _arm(time) {
+        const delay = time - Date.now();
+        if (delay > MAX_TIMEOUT) {
+            this._timer = setTimeout(this._arm.bind(this, time), MAX_TIMEOUT);
+        } else {
+            this._timer = setTimeout(this._run.bind(this), Math.max(delay, 0));
+        }
+    }
+    /**
+     * Runs the task and schedules its next run.
+     * @private
+     */
+    async _run() {
+        try {
+            await this._task();
+        } catch (error) {
+            console.error('Scheduled task failed:', error);
+        }
+        if (this._running) {
+            this._arm(this.next().getTime());
+        }
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * fallback.js
+ *
+ * Falling back between sources of review statuses.
+ */
+
+/**
+ * Importing modules.
+ */
+import Source from './source.js';
+
+/**
+ * Reads review statuses from the first of several sources that succeeds,
+ * such as a JSON endpoint with the Special:JSPages scraper as a fallback.
+ * @augments Source
+ */
+export default class FallbackSource extends Source {
+    /**
+     * Class constructor.
+     * @param {Source[]} sources Sources to try, in order
+     */
+    constructor(sources) {
+        super(null);
+        this._sources = sources;
+    }
+    /**
+     * Fetches the review statuses from the first source that succeeds.
+     * Errors of the last source are passed on.
+     * @param {object} wiki Wiki to fetch the review statuses from
+     * @returns {Promise<object>} Map of page titles to review statuses,
+     * whether the whole listing was read and descriptions of `skipped`
+     * rows
+     */
+    async fetch(wiki) {
+        const fallbacks = this._sources.slice(0, -1);
+        for (const source of fallbacks) {
+            try {
+                return await source.fetch(wiki);
+            } catch (error) {
+                console.warn(`${wiki.url}: Reading review statuses through ${source.constructor.name} failed, falling back:`, error.message);
+            }
+        }
+        return this._sources.at(-1).fetch(wiki);
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * index.js
+ *
+ * Creation of review status sources from configuration.
+ */
+
+/**
+ * Importing modules.
+ */
+import FallbackSource from './fallback.js';
+import JSONSource from './json.js';
+import ScraperSource from './scraper.js';
+
+/**
+ * Constants.
+ */
+const TYPES = {
+    json: JSONSource,
+    scraper: ScraperSource
+};
+
+/**
+ * Creates the source review statuses of a wiki are read from.
+ * Wikis without a `source` are scraped from Special:JSPages, which other
+ * sources also fall back to unless their `fallback` is set to `false`.
+ * @param {object} wikiConfig Configuration of the wiki
+ * @param {import('got').Got} http HTTP client logged into Fandom
+ * @returns {import('./source.js').default} Review status source
+ * @throws {Error} If the source type is unknown
+ */
+export function createSource(wikiConfig, http) {
+    const options = wikiConfig.source || {};
+    const SourceClass = TYPES[options.type || 'scraper'];
+    if (!SourceClass) {
+        throw new Error(`Unknown review status source type: ${options.type}`);
+    }
+    const source = new SourceClass(http, options);
+    if (SourceClass === ScraperSource || options.fallback === false) {
+        return source;
+    }
+    return new FallbackSource([source, new ScraperSource(http)]);
+}
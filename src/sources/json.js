@@ -0,0 +1,58 @@
+/**
+ * json.js
+ *
+ * Reading of review statuses from a JSON endpoint.
+ */
+
+/**
+ * Importing modules.
+ */
+import Source from './source.js';
+
+/**
+ * Reads review statuses of JavaScript pages from an endpoint serving them
+ * as JSON, either as a list of pages or as an object with a `pages` list.
+ * Each page has its `title`, review `status`, latest revision `rev` and
+ * optionally its `liveRev`.
+ * @augments Source
+ */
+export default class JSONSource extends Source {
+    /**
+     * Fetches the review statuses from the configured URL.
+     * @param {object} _wiki Wiki to fetch the review statuses for
+     * @returns {Promise<object>} Map of page titles to review statuses,
+     * whether the whole listing was read and descriptions of `skipped`
+     * rows
+     * @throws {Error} If the response does not contain a list of pages
+     */
+    async fetch(_wiki) {
+        const response = await this._http.get(this._options.url, {
+            headers: this._options.headers
+        }).json();
+        const rows = Array.isArray(response) ? response : response?.pages;
+        if (!Array.isArray(rows)) {
+            throw this._formatError(`${this._options.url} did not respond with a list of pages.`);
+        }
+        const {pages, skipped} = this._mapRows(rows, this._mapRow);
+        return {
+            complete: skipped.length === 0,
+            pages,
+            skipped
+        };
+    }
+    /**
+     * Reads a page from the response into a review status.
+     * @param {object} row Page from the response
+     * @returns {object} Review status of the page
+     * @private
+     */
+    _mapRow(row) {
+        const {liveRev, rev, status, title} = row;
+        return {
+            liveRev: liveRev ?? undefined,
+            rev,
+            status,
+            title
+        };
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * scraper.js
+ *
+ * Scraping of review statuses from Special:JSPages.
+ */
+
+/**
+ * Importing modules.
+ */
+import Source from './source.js';
+import {URL} from 'url';
+import {parse} from 'node-html-parser';
+
+/**
+ * Constants.
+ */
+const NEXT_PAGE_SELECTOR = [
+    'a[rel="next"]',
+    'a.mw-nextlink',
+    '.TablePager_nav-next a',
+    '.content-review__pagination-next a'
+].join(', ');
+const TABLE_SELECTOR = '.content-review__table';
+const ROW_SELECTOR = `${TABLE_SELECTOR} tbody tr`;
+const STATUS_PREFIX = 'content-review__status--';
+const LOGGED_OUT_REGEX = /"wgUserName"\s*:\s*null/u;
+const LOGIN_REQUIRED_SELECTOR = [
+    '.permissions-errors',
+    '#userloginForm',
+    '#mw-returnto'
+].join(', ');
+
+/**
+ * Reads review statuses of JavaScript pages from the Special:JSPages
+ * listing of a wiki.
+ * @augments Source
+ */
+export default class ScraperSource extends Source {
+    /**
+     * Fetches every page of the Special:JSPages listing, up to the configured
+     * page limit, and merges their rows.
+     * Listings with skipped rows are treated as incomplete.
+     * @param {object} wiki Wiki to fetch the listing from
+     * @returns {Promise<object>} Map of page titles to review statuses,
+     * whether the whole listing was read and descriptions of `skipped`
+     * rows
+     */
+    async fetch(wiki) {
+        const pages = {};
+        const skipped = [];
+        const visited = new Set();
+        let url = new URL(`${wiki.url}/wiki/Special:JSPages`);
+        let complete = true;
+        for (let page = 1; url; ++page) {
+            if (page > wiki.maxPages) {
+                console.warn(`${wiki.url}: Special:JSPages has more than ${wiki.maxPages} pages, skipping the rest.`);
+                complete = false;
+                break;
+            }
+            visited.add(url.href);
+            const requestUrl = new URL(url);
+            requestUrl.searchParams.set('t', Date.now());
+            const html = await this._http.get(requestUrl).text();
+            const tree = parse(html);
+            if (this._isLoggedOut(html, tree)) {
+                const error = new Error(`${wiki.url}: Special:JSPages was served to a logged-out user.`);
+                error.code = 'ESESSION';
+                throw error;
+            }
+            const listing = this._parseTree(tree);
+            Object.assign(pages, listing.pages);
+            for (const reason of listing.skipped) {
+                skipped.push(`${url.href}, ${reason}`);
+            }
+            url = this._getNextPageUrl(tree, url);
+            if (url && visited.has(url.href)) {
+                url = null;
+            }
+        }
+        return {
+            complete: complete && skipped.length === 0,
+            pages,
+            skipped
+        };
+    }
+    /**
+     * Reads review statuses from a saved page of the Special:JSPages
+     * listing.
+     * @param {string} html HTML of the listing page
+     * @returns {object} Map of page titles to review statuses, and
+     * descriptions of `skipped` rows
+     * @throws {Error} If the listing cannot be read at all
+     */
+    parseListing(html) {
+        return this._parseTree(parse(html));
+    }
+    /**
+     * Reads review statuses from a parsed page of the Special:JSPages
+     * listing.
+     * @param {import('node-html-parser').HTMLElement} tree Parsed listing
+     * page
+     * @returns {object} Map of page titles to review statuses, and
+     * descriptions of `skipped` rows
+     * @throws {Error} If the content review table is missing
+     * @private
+     */
+    _parseTree(tree) {
+        if (!tree.querySelector(TABLE_SELECTOR)) {
+            throw this._formatError(
+                'The content review table of Special:JSPages was not ' +
+                'found, its markup may have changed.'
+            );
+        }
+        return this._mapRows(
+            tree.querySelectorAll(ROW_SELECTOR),
+            this._mapRow
+        );
+    }
+    /**
+     * Checks whether a page was served to a logged-out user, or requires
+     * logging in to be viewed.
+     * @param {string} html HTML of the page
+     * @param {import('node-html-parser').HTMLElement} tree Parsed page
+     * @returns {boolean} Whether the session is not logged in
+     * @private
+     */
+    _isLoggedOut(html, tree) {
+        return LOGGED_OUT_REGEX.test(html) ||
+            Boolean(tree.querySelector(LOGIN_REQUIRED_SELECTOR));
+    }
+    /**
+     * Finds the URL of the next page of the Special:JSPages listing.
+     * @param {import('node-html-parser').HTMLElement} tree Parsed listing page
+     * @param {URL} current URL of the parsed listing page
+     * @returns {URL|null} URL of the next page, if there is one
+     * @private
+     */
+    _getNextPageUrl(tree, current) {
+        const link = tree.querySelector(NEXT_PAGE_SELECTOR);
+        const href = link && link.getAttribute('href');
+        if (!href) {
+            return null;
+        }
+        const url = new URL(href.replace(/&amp;/gu, '&'), current);
+        url.searchParams.delete('t');
+        return url;
+    }
+    /**
+     * Reads a row of the content review table into a review status.
+     * @param {import('node-html-parser').HTMLElement} row Row of the
+     * content review table
+     * @returns {object} Review status of the page in the row
+     * @throws {Error} If the row does not have the expected cells
+     * @private
+     */
+    _mapRow(row) {
+        const cells = row.querySelectorAll('td');
+        const link = cells[0]?.querySelector('a');
+        const status = cells[1]?.querySelector('.content-review__status');
+        if (!link || !status) {
+            throw new Error('Unexpected table layout');
+        }
+        const liveRevisionAnchor = cells[3]?.querySelector('a');
+        return {
+            liveRev: liveRevisionAnchor ?
+                this._getRevision(liveRevisionAnchor) :
+                undefined,
+            rev: this._getRevision(cells[1].querySelector('a')),
+            status: Array.from(status.classList.values())
+                .find(cls => cls.startsWith(STATUS_PREFIX))
+                ?.slice(STATUS_PREFIX.length),
+            title: link.text.trim()
+        };
+    }
+    /**
+     * Reads a revision ID from a link to the revision.
+     * @param {import('node-html-parser').HTMLElement} link Link to the
+     * revision, with text such as `#1234`
+     * @returns {number} Revision ID, or `NaN` if there is none
+     * @private
+     */
+    _getRevision(link) {
+        return link ? Number(link.text.trim().replace('#', '')) : NaN;
+    }
+}
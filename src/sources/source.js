@@ -0,0 +1,115 @@
+/**
+ * source.js
+ *
+ * Base class for sources of review statuses.
+ */
+
+/**
+ * Constants.
+ */
+const STATUS_REGEX = /^[a-z-]+$/u;
+
+/**
+ * Checks whether a value is a valid revision ID.
+ * @param {*} rev Value to check
+ * @returns {boolean} Whether the value is a positive integer
+ */
+function isRevision(rev) {
+    return Number.isInteger(rev) && rev > 0;
+}
+
+/**
+ * Base class for sources the review statuses of a wiki's JavaScript pages
+ * are read from.
+ * Sources read the listing row by row, and rows that cannot be read are
+ * skipped and reported instead of failing the whole listing.
+ * @abstract
+ */
+export default class Source {
+    /**
+     * Class constructor.
+     * @param {import('got').Got} http HTTP client logged into Fandom
+     * @param {object} options Source configuration
+     */
+    constructor(http, options = {}) {
+        this._http = http;
+        this._options = options;
+    }
+    /**
+     * Fetches the review statuses of all JavaScript pages on a wiki.
+     * @abstract
+     * @param {object} _wiki Wiki to fetch the review statuses from
+     * @returns {Promise<object>} Map of page titles to review statuses,
+     * whether the whole listing was read and descriptions of `skipped`
+     * rows
+     * @throws {Error} If the source does not implement fetching
+     */
+    fetch(_wiki) {
+        throw new Error(`${this.constructor.name} does not implement fetch()`);
+    }
+    /**
+     * Reads rows of a listing into review statuses, skipping rows that
+     * cannot be read or have invalid review states. Listings none of whose
+     * rows can be read are rejected.
+     * @param {Array} rows Rows of the listing
+     * @param {Function} mapRow Function reading a row into a review state,
+     * throwing if the row cannot be read
+     * @returns {object} Map of page titles to review statuses, and
+     * descriptions of `skipped` rows
+     * @throws {Error} If none of the rows can be read
+     * @protected
+     */
+    _mapRows(rows, mapRow) {
+        const pages = {};
+        const skipped = [];
+        for (const [index, row] of rows.entries()) {
+            try {
+                const page = mapRow.call(this, row);
+                this._validate(page);
+                pages[page.title] = page;
+            } catch (error) {
+                skipped.push(`row ${index + 1}: ${error.message}`);
+            }
+        }
+        if (rows.length && skipped.length === rows.length) {
+            throw this._formatError(`None of the ${rows.length} rows of the listing could be read, its format may have changed. First problem: ${skipped[0]}`);
+        }
+        return {
+            pages,
+            skipped
+        };
+    }
+    /**
+     * Creates an error about a listing that cannot be read at all, which
+     * counts as a failed poll.
+     * @param {string} message Error message
+     * @returns {Error} Format error
+     * @protected
+     */
+    _formatError(message) {
+        const error = new Error(message);
+        error.code = 'EFORMAT';
+        return error;
+    }
+    /**
+     * Checks that a review state read from a row is valid.
+     * @param {object} page Review state of a page
+     * @throws {Error} If the review state is invalid
+     * @private
+     */
+    _validate(page) {
+        const {liveRev, rev, status, title} = page;
+        if (typeof title !== 'string' || !title) {
+            throw new Error('Missing page title');
+        }
+        if (typeof status !== 'string' || !STATUS_REGEX.test(status)) {
+            throw new Error(`Invalid review status of ${title}`);
+        }
+        if (!isRevision(rev)) {
+            throw new Error(`Invalid revision of ${title}`);
+        }
+        if (liveRev !== undefined && !isRevision(liveRev)) {
+            throw new Error(`Invalid live revision of ${title}`);
+        }
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * stats.js
+ *
+ * Review turnaround statistics computed from the review history.
+ */
+
+/**
+ * Importing modules.
+ */
+import {formatDuration} from './format.js';
+
+/**
+ * Constants.
+ */
+const DAYS = [
+    'Sunday',
+    'Monday',
+    'Tuesday',
+    'Wednesday',
+    'Thursday',
+    'Friday',
+    'Saturday'
+];
+const BUSIEST_COUNT = 3;
+
+/**
+ * Returns a percentile of sorted values, using the nearest-rank method.
+ * @param {number[]} values Values sorted in ascending order
+ * @param {number} percentile Percentile between 0 and 1
+ * @returns {number|null} Value at the percentile, if there are any values
+ */
+function getPercentile(values, percentile) {
+    if (values.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil(percentile * values.length);
+    return values[Math.max(rank, 1) - 1];
+}
+
+/**
+ * Counts an event in the day of week and hour of day it happened in.
+ * @param {object} counts Maps of `days` and `hours` to event counts
+ * @param {Date} time Time of the event
+ */
+function countPeriod(counts, time) {
+    const day = DAYS[time.getUTCDay()];
+    const hour = `${String(time.getUTCHours()).padStart(2, '0')}:00`;
+    counts.days.set(day, (counts.days.get(day) || 0) + 1);
+    counts.hours.set(hour, (counts.hours.get(hour) || 0) + 1);
+}
+
+/**
+ * Returns the periods with the highest counts.
+ * @param {Map<string, number>} counts Map of periods to event counts
+ * @returns {Array<Array>} Pairs of periods and their counts
+ */
+function getTop(counts) {
+    return [...counts]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, BUSIEST_COUNT);
+}
+
+/**
+ * Returns the periods with the most events.
+ * @param {object} counts Maps of `days` and `hours` to event counts
+ * @returns {object} Busiest `days` and `hours` in UTC, as lists of
+ * `[period, count]` pairs
+ */
+function getBusiest(counts) {
+    return {
+        days: getTop(counts.days),
+        hours: getTop(counts.hours)
+    };
+}
+
+/**
+ * Collects review turnaround statistics from recorded transitions.
+ * A revision's wait starts when it enters the `awaiting` status and ends
+ * when that revision is approved or rejected. Waits of revisions that were
+ * superseded by a newer submission or removed from the listing are not
+ * counted.
+ */
+class StatsCollector {
+    /**
+     * Class constructor.
+     * @param {object} period Reported period
+     * @param {Date} period.since Earliest time of counted reviews and
+     * submissions
+     * @param {Date} period.until Latest time of counted reviews and
+     * submissions
+     */
+    constructor(period) {
+        this._since = period.since;
+        this._until = period.until;
+        this._awaiting = new Map();
+        this._waits = [];
+        this._submissions = {
+            days: new Map(),
+            hours: new Map()
+        };
+        this._reviews = {
+            days: new Map(),
+            hours: new Map()
+        };
+        this._approved = 0;
+        this._rejected = 0;
+        this._submitted = 0;
+    }
+    /**
+     * Processes a recorded transition.
+     * @param {object} entry Recorded transition
+     */
+    add(entry) {
+        const time = new Date(entry.timestamp);
+        const key = `${entry.wiki}#${entry.title}`;
+        const oldKey = `${entry.wiki}#${entry.oldTitle}`;
+        if (entry.type === 'renamed' && this._awaiting.has(oldKey)) {
+            this._awaiting.set(key, this._awaiting.get(oldKey));
+            this._awaiting.delete(oldKey);
+        }
+        const state = entry.new;
+        const start = this._awaiting.get(key);
+        if (state && state.status === 'awaiting') {
+            if (!start || start.rev !== state.rev) {
+                this._submit(key, state, time);
+            }
+            return;
+        }
+        this._awaiting.delete(key);
+        if (
+            state &&
+            start &&
+            start.rev === state.rev &&
+            (state.status === 'live' || state.status === 'rejected')
+        ) {
+            this._review(state, time - start.time, time);
+        }
+    }
+    /**
+     * Returns the collected statistics.
+     * @returns {object} Review turnaround statistics
+     */
+    getStats() {
+        const waits = [...this._waits].sort((a, b) => a - b);
+        return {
+            approved: this._approved,
+            awaiting: this._awaiting.size,
+            busiestReviews: getBusiest(this._reviews),
+            busiestSubmissions: getBusiest(this._submissions),
+            median: getPercentile(waits, 0.5),
+            p90: getPercentile(waits, 0.9),
+            rejected: this._rejected,
+            reviewed: waits.length,
+            submitted: this._submitted
+        };
+    }
+    /**
+     * Checks whether a time is within the reported period.
+     * @param {Date} time Time to check
+     * @returns {boolean} Whether the time is within the period
+     * @private
+     */
+    _inPeriod(time) {
+        return (!this._since || time >= this._since) &&
+            (!this._until || time <= this._until);
+    }
+    /**
+     * Records a revision being submitted for review.
+     * @param {string} key Key of the page
+     * @param {object} state New state of the page
+     * @param {Date} time Time of the submission
+     * @private
+     */
+    _submit(key, state, time) {
+        this._awaiting.set(key, {
+            rev: state.rev,
+            time
+        });
+        if (this._inPeriod(time)) {
+            ++this._submitted;
+            countPeriod(this._submissions, time);
+        }
+    }
+    /**
+     * Records a revision being reviewed.
+     * @param {object} state New state of the page
+     * @param {number} wait Time the revision waited for review
+     * @param {Date} time Time of the review
+     * @private
+     */
+    _review(state, wait, time) {
+        if (!this._inPeriod(time)) {
+            return;
+        }
+        if (state.status === 'live') {
+            ++this._approved;
+        } else {
+            ++this._rejected;
+        }
+        this._waits.push(wait);
+        countPeriod(this._reviews, time);
+    }
+}
+
+/**
+ * Computes review turnaround statistics from recorded transitions.
+ * @param {object[]} entries Recorded transitions, oldest first, including
+ * ones before the reported period so that waits starting before it are known
+ * @param {object} period Reported period, with optional `since` and `until`
+ * dates
+ * @returns {object} Review turnaround statistics
+ */
+export function getReviewStats(entries, period = {}) {
+    const collector = new StatsCollector(period);
+    for (const entry of entries) {
+        collector.add(entry);
+    }
+    return collector.getStats();
+}
+
+/**
+ * Formats the busiest periods for display.
+ * @param {Array<Array>} periods Pairs of periods and their counts
+ * @returns {string} Formatted periods
+ */
+function formatPeriods(periods) {
+    if (periods.length === 0) {
+        return 'none';
+    }
+    return periods
+        .map(([period, count]) => `${period} (${count})`)
+        .join(', ');
+}
+
+/**
+ * Formats a share of reviews as a percentage.
+ * @param {number} count Number of reviews with an outcome
+ * @param {number} total Number of all reviews
+ * @returns {string} Formatted percentage
+ */
+function formatRate(count, total) {
+    if (total === 0) {
+        return 'n/a';
+    }
+    return `${Math.round(count / total * 100)}%`;
+}
+
+/**
+ * Formats review turnaround statistics as lines of text.
+ * @param {object} stats Statistics from `getReviewStats`
+ * @returns {string[]} Lines describing the statistics
+ */
+export function formatStats(stats) {
+    const {
+        approved,
+        awaiting,
+        busiestReviews,
+        busiestSubmissions,
+        median,
+        p90,
+        rejected,
+        reviewed,
+        submitted
+    } = stats;
+    const lines = [
+        `Submitted: ${submitted} revisions`,
+        `Reviewed: ${reviewed} revisions (${approved} approved, ${rejected} rejected)`,
+        `Approval rate: ${formatRate(approved, reviewed)}, rejection rate: ${formatRate(rejected, reviewed)}`
+    ];
+    if (reviewed) {
+        lines.push(`Median wait: ${formatDuration(median)}, 90th percentile: ${formatDuration(p90)}`);
+    }
+    lines.push(
+        `Still awaiting review: ${awaiting}`,
+        `Busiest submission days: ${formatPeriods(busiestSubmissions.days)}`,
+        `Busiest submission hours (UTC): ${formatPeriods(busiestSubmissions.hours)}`,
+        `Busiest review days: ${formatPeriods(busiestReviews.days)}`,
+        `Busiest review hours (UTC): ${formatPeriods(busiestReviews.hours)}`
+    );
+    return lines;
+}